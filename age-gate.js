@@ -0,0 +1,356 @@
+// Private Age Verification - Embeddable Age Gate
+// AgeGateCore talks to the wallet and contract without touching the DOM.
+// AgeGate renders a self-contained overlay on top of it for partner sites.
+// Requires networks.js to be loaded first. errors.js is optional and adds friendlier error messages;
+// wallets.js is optional and lets the gate pick a wallet through EIP-6963 instead of window.ethereum.
+
+// Network registry: a global in browsers, a module in Node.js
+const ageGateNetworks = typeof window !== 'undefined' && window.PrivateAgeNetworks
+    ? window.PrivateAgeNetworks
+    : require('./networks.js');
+const ageGateWallets = typeof window !== 'undefined'
+    ? window.PrivateAgeWallets || null
+    : require('./wallets.js');
+
+const AGE_GATE_ABI = [
+    'function owner() view returns (address)',
+    'function isUserAdult(address user) view returns (bool completed, bool isAdult)',
+    'function getUserVerificationStatus(address user) view returns (bool hasSubmittedAge, bool verificationCompleted, uint256 timestamp)'
+];
+
+class AgeGateCore {
+    constructor(options = {}) {
+        // `network` is a registry key ('sepolia', 'localhost') or a custom network object
+        const network = options.network || ageGateNetworks.DEFAULT_NETWORK_KEY;
+        this.network = typeof network === 'string' ? ageGateNetworks.getNetworkConfig(network) : network;
+        this.contractAddress = options.contractAddress || this.network.contractAddress;
+        this.abi = options.abi || AGE_GATE_ABI;
+        // Resolved lazily so the gate can be created before the ethers.js script finishes loading
+        this.ethersLib = options.ethers || null;
+        // An EIP-1193 provider, or a connector ({ id, name, icon, provider }) from wallets.js
+        this.ethereum = options.ethereum
+            || (options.connector && options.connector.provider)
+            || (typeof window !== 'undefined' ? window.ethereum : undefined);
+        // Progress messages ('Switching to Sepolia...') for callers that show a spinner
+        this.onProgress = options.onProgress || (() => {});
+
+        this.provider = null;
+        this.signer = null;
+        this.contract = null;
+        this.userAddress = null;
+        this.readOnlyContract = null;
+    }
+
+    get ethers() {
+        return this.ethersLib || (typeof window !== 'undefined' ? window.ethers : undefined);
+    }
+
+    // Swaps the EIP-1193 provider, e.g. after the user picks another wallet
+    setProvider(ethereum) {
+        this.ethereum = ethereum;
+        this.provider = null;
+        this.signer = null;
+        this.contract = null;
+        this.userAddress = null;
+    }
+
+    hasWallet() {
+        return typeof this.ethereum !== 'undefined' && this.ethereum !== null;
+    }
+
+    async getAuthorizedAccounts() {
+        if (!this.hasWallet()) return [];
+        return this.ethereum.request({ method: 'eth_accounts' });
+    }
+
+    async connect() {
+        if (!this.hasWallet()) {
+            const error = new Error('No Ethereum wallet detected. Please install MetaMask or another browser wallet.');
+            error.code = 'NO_WALLET';
+            throw error;
+        }
+
+        if (!this.ethers) {
+            throw new Error('ethers.js is not loaded');
+        }
+
+        this.onProgress('Connecting to wallet...');
+
+        const accounts = await this.ethereum.request({ method: 'eth_requestAccounts' });
+
+        if (accounts.length === 0) {
+            throw new Error('No accounts found. Please unlock your wallet.');
+        }
+
+        this.provider = new this.ethers.BrowserProvider(this.ethereum);
+
+        const network = await this.provider.getNetwork();
+
+        if (Number(network.chainId) !== this.network.chainId) {
+            this.onProgress(`Switching to ${this.network.chainName}...`);
+            await this.switchNetwork();
+
+            // Refresh provider after network switch
+            this.provider = new this.ethers.BrowserProvider(this.ethereum);
+        }
+
+        this.signer = await this.provider.getSigner();
+        this.userAddress = await this.signer.getAddress();
+        this.contract = new this.ethers.Contract(this.contractAddress, this.abi, this.signer);
+
+        return this.userAddress;
+    }
+
+    async switchNetwork() {
+        const { chainIdHex, chainName, nativeCurrency, rpcUrls, blockExplorerUrls } = this.network;
+
+        try {
+            await this.ethereum.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId: chainIdHex }]
+            });
+        } catch (switchError) {
+            // If the network doesn't exist, add it
+            if (switchError.code === 4902 || switchError.code === -32603) {
+                try {
+                    await this.ethereum.request({
+                        method: 'wallet_addEthereumChain',
+                        params: [{
+                            chainId: chainIdHex,
+                            chainName,
+                            nativeCurrency,
+                            rpcUrls,
+                            blockExplorerUrls: blockExplorerUrls.length > 0 ? blockExplorerUrls : undefined
+                        }]
+                    });
+                } catch (addError) {
+                    throw new Error(`Failed to add ${chainName} to your wallet. Please add it manually.`);
+                }
+            } else if (switchError.code === 4001) {
+                throw new Error('Network switch rejected by user');
+            } else {
+                throw new Error(`Failed to switch to ${chainName}: ${switchError.message}`);
+            }
+        }
+    }
+
+    // JSON-RPC contract for public reads before (or without) a wallet connection
+    getReadOnlyContract() {
+        if (!this.readOnlyContract) {
+            const [rpcUrl] = this.network.rpcUrls;
+            if (!rpcUrl) {
+                throw new Error(`No RPC URL configured for ${this.network.name}`);
+            }
+
+            // ethers < 6.9 only accepts a Network object as staticNetwork, not `true`
+            const network = this.ethers.Network.from(this.network.chainId);
+            const provider = new this.ethers.JsonRpcProvider(rpcUrl, network, { staticNetwork: network });
+            this.readOnlyContract = new this.ethers.Contract(this.contractAddress, this.abi, provider);
+        }
+
+        return this.readOnlyContract;
+    }
+
+    async verifyDeployment() {
+        const code = await this.provider.getCode(this.contractAddress);
+
+        if (code === '0x') {
+            throw new Error(`No contract found at address ${this.contractAddress}. Please check if the contract is deployed correctly.`);
+        }
+    }
+
+    // Resolves to 'passed', 'failed' or 'not-verified'; expired and revoked results count as not verified.
+    // Works for any address, falling back to the read-only RPC when no wallet is connected.
+    async getStatus(address = this.userAddress) {
+        if (!address) {
+            throw new Error('Wallet not connected');
+        }
+
+        const contract = this.contract || this.getReadOnlyContract();
+        const [[hasSubmitted, , timestamp], [completed, isAdult]] = await Promise.all([
+            contract.getUserVerificationStatus(address),
+            contract.isUserAdult(address)
+        ]);
+
+        return {
+            address,
+            hasSubmitted,
+            completed,
+            isAdult: completed && isAdult,
+            submittedAt: Number(timestamp),
+            state: !completed ? 'not-verified' : isAdult ? 'passed' : 'failed'
+        };
+    }
+
+    // User-facing message plus suggested action when errors.js is loaded, a plain message otherwise
+    static describeError(error, context = {}) {
+        const errors = typeof window !== 'undefined' ? window.PrivateAgeErrors : require('./errors.js');
+        if (errors) {
+            return errors.describeError(error, context);
+        }
+
+        if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+            return 'Request rejected by user';
+        }
+        if (error.code === -32002) {
+            return 'Your wallet is already processing a request. Please check your wallet.';
+        }
+        return error.shortMessage || error.message || 'Unknown error';
+    }
+}
+
+class AgeGate {
+    constructor(options = {}) {
+        this.core = options.core || new AgeGateCore(options);
+        // Without an explicit wallet, discover one through wallets.js so another extension cannot hijack window.ethereum
+        const explicitWallet = options.core || options.ethereum || options.connector;
+        this.wallets = options.wallets || (!explicitWallet && ageGateWallets ? new ageGateWallets.WalletConnectorRegistry() : null);
+        this.walletId = options.walletId || null;
+        this.discovery = null;
+        this.texts = {
+            title: 'Age Verification Required',
+            message: 'This content is restricted to verified adults. Connect your wallet to check your private age verification.',
+            connect: 'Connect Wallet',
+            checking: 'Checking verification...',
+            failed: 'Your verification shows you are under 18, so this content is not available.',
+            notVerified: 'Your wallet has no valid age verification yet.',
+            verifyLink: 'Verify your age',
+            ...options.texts
+        };
+        this.verifyUrl = options.verifyUrl || null;
+        this.container = options.container || null;
+        this.onPass = options.onPass || (() => {});
+        this.onFail = options.onFail || (() => {});
+        this.onNotVerified = options.onNotVerified || (() => {});
+        this.onError = options.onError || (() => {});
+        this.closeOnPass = options.closeOnPass !== false;
+
+        this.overlay = null;
+    }
+
+    open() {
+        if (this.overlay) return;
+
+        AgeGate.injectStyles();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'pav-gate';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.innerHTML = `
+            <div class="pav-gate-panel">
+                <h2 class="pav-gate-title"></h2>
+                <p class="pav-gate-message"></p>
+                <button type="button" class="pav-gate-button"></button>
+                <a class="pav-gate-link" target="_blank" rel="noopener" hidden></a>
+            </div>
+        `;
+
+        this.overlay.querySelector('.pav-gate-title').textContent = this.texts.title;
+        this.overlay.querySelector('.pav-gate-button').textContent = this.texts.connect;
+        this.overlay.querySelector('.pav-gate-button').addEventListener('click', () => this.check());
+        this.setMessage(this.texts.message);
+
+        (this.container || document.body).appendChild(this.overlay);
+    }
+
+    close() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    async check() {
+        const button = this.overlay && this.overlay.querySelector('.pav-gate-button');
+
+        try {
+            if (button) button.disabled = true;
+            this.setMessage(this.texts.checking);
+
+            if (!this.core.contract) {
+                await this.selectWallet();
+                await this.core.connect();
+            }
+
+            const status = await this.core.getStatus();
+
+            if (status.state === 'passed') {
+                if (this.closeOnPass) this.close();
+                this.onPass(status);
+            } else if (status.state === 'failed') {
+                this.setMessage(this.texts.failed);
+                this.onFail(status);
+            } else {
+                this.setMessage(this.texts.notVerified, true);
+                this.onNotVerified(status);
+            }
+
+            return status;
+
+        } catch (error) {
+            console.error('Age gate check error:', error);
+            this.setMessage(AgeGateCore.describeError(error));
+            this.onError(error);
+            return null;
+
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    // Uses the `walletId` connector, else the first EIP-6963 wallet, else the window.ethereum fallback
+    async selectWallet() {
+        if (!this.wallets) return null;
+
+        this.discovery = this.discovery || this.wallets.discover();
+        const connectors = await this.discovery;
+        const legacyId = ageGateWallets ? ageGateWallets.LEGACY_INJECTED_ID : 'injected';
+        const connector = connectors.find(entry => entry.id === this.walletId)
+            || connectors.find(entry => entry.id !== legacyId)
+            || connectors[0];
+
+        if (connector && this.core.ethereum !== connector.provider) {
+            this.core.setProvider(connector.provider);
+        }
+        return connector || null;
+    }
+
+    setMessage(message, showVerifyLink = false) {
+        if (!this.overlay) return;
+
+        this.overlay.querySelector('.pav-gate-message').textContent = message;
+
+        const link = this.overlay.querySelector('.pav-gate-link');
+        link.hidden = !(showVerifyLink && this.verifyUrl);
+        if (this.verifyUrl) {
+            link.href = this.verifyUrl;
+            link.textContent = this.texts.verifyLink;
+        }
+    }
+
+    static injectStyles() {
+        if (document.getElementById('pav-gate-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'pav-gate-styles';
+        style.textContent = `
+            .pav-gate { position: fixed; inset: 0; z-index: 2147483000; display: flex; align-items: center; justify-content: center; background: rgba(15, 23, 42, 0.85); font-family: Inter, system-ui, sans-serif; }
+            .pav-gate-panel { max-width: 420px; margin: 16px; padding: 32px; border-radius: 16px; background: #ffffff; color: #0f172a; text-align: center; box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1); }
+            .pav-gate-title { margin: 0 0 12px; font-size: 22px; }
+            .pav-gate-message { margin: 0 0 24px; color: #475569; line-height: 1.5; }
+            .pav-gate-button { padding: 12px 24px; border: none; border-radius: 8px; background: #6366f1; color: #ffffff; font-size: 16px; font-weight: 600; cursor: pointer; }
+            .pav-gate-button:disabled { opacity: 0.6; cursor: not-allowed; }
+            .pav-gate-link { display: block; margin-top: 16px; color: #6366f1; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PrivateAgeGate = { AgeGateCore, AgeGate };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AgeGateCore, AgeGate };
+}
@@ -1,9 +1,10 @@
 // Private Age Verification DApp
-// Contract Address: 0x9A963da94E929E49c2a102fab47418Dc3b82Ee6C
+// Network and contract address come from the registry in networks.js (?network=<key>)
 
 class PrivateAgeVerificationApp {
     constructor() {
-        this.contractAddress = '0x9A963da94E929E49c2a102fab47418Dc3b82Ee6C';
+        this.network = getNetworkConfig(resolveNetworkKey());
+        this.contractAddress = this.network.contractAddress;
         this.contractABI = [
             // Read functions
             'function owner() view returns (address)',
@@ -12,26 +13,133 @@ class PrivateAgeVerificationApp {
             'function getUserVerificationStatus(address user) view returns (bool hasSubmittedAge, bool verificationCompleted, uint256 timestamp)',
             'function getVerificationStats() view returns (uint256 totalUsers, uint256 completedVerifications, uint256 pendingCount)',
             'function isUserAdult(address user) view returns (bool completed, bool isAdult)',
+            'function getAgePolicyCount() view returns (uint256)',
+            'function agePolicies(uint256 policyId) view returns (string name, uint8 minAge, uint8 maxAge, address creator)',
+            'function getPolicyEvaluation(address user, uint256 policyId) view returns (bool evaluated, bool pending, bool completed, uint256 timestamp, bytes32 result)',
+            'function isUserEligible(address user, uint256 policyId) view returns (bool completed, bool satisfied)',
+            'function getAttestationCount(address user) view returns (uint256)',
+            'function getGrantedConsumers(address user) view returns (address[])',
+            'function consumerAccess(address user, address consumer) view returns (bool)',
+            'function getAttestation(address user, uint256 index) view returns (uint256 policyId, uint256 issuedAt, uint256 expiresAt, address verifier, bytes signature)',
+            'function decryptionPending(address user) view returns (bool)',
+            'function getVerificationValidity(address user) view returns (uint256 expiresAt, bool revoked, uint8 revocationReason)',
+            'function verificationValidityPeriod() view returns (uint256)',
+            'function RESUBMISSION_COOLDOWN() view returns (uint256)',
+            'function getPendingVerificationCount() view returns (uint256)',
+            'function getVerificationHistoryCount() view returns (uint256)',
+            'function getVerificationHistory(uint256 startIndex, uint256 count) view returns (tuple(address user, bool isAdult, uint256 timestamp, bool success)[])',
+            'function getPendingVerifications(uint256 startIndex, uint256 count) view returns (address[] users, uint256[] timestamps)',
+            'function getRangeProofCount(address user) view returns (uint256)',
+            'function getRangeProof(address user, uint256 proofId) view returns (uint8 minAge, uint8 maxAge, bytes32 result, uint256 timestamp)',
+            'function getOutgoingComparisons(address user) view returns (uint256[])',
+            'function getIncomingComparisons(address user) view returns (uint256[])',
+            'function getSentComparisonRequests(address user) view returns (uint256[])',
+            'function getReceivedComparisonRequests(address user) view returns (uint256[])',
+            'function comparisonRequests(uint256 requestId) view returns (address requester, address target, uint256 createdAt, uint256 expiresAt, uint8 status)',
+            'function getComparison(uint256 comparisonId) view returns (address requester, address otherUser, bytes32 requesterIsOlder, uint256 timestamp)',
             'function emergencyPaused() view returns (bool)',
 
             // Write functions
-            'function submitEncryptedAge(uint8 _age)',
-            'function getVerificationResult() view returns (bytes32)',
+            'function submitEncryptedBirthDate(bytes32 encryptedBirthMonth, bytes inputProof)',
+            'function resubmitEncryptedBirthDate(bytes32 encryptedBirthMonth, bytes inputProof)',
+            'function deleteMyVerification()',
+            'function grantConsumerAccess(address consumer)',
+            'function revokeConsumerAccess(address consumer)',
+            'function getVerificationResult() view returns (bytes32 isAdult, uint256 evaluatedAt)',
+            'function refreshAdultStatus() returns (bytes32)',
             'function verifyAgeRange(uint8 minAge, uint8 maxAge) returns (bytes32)',
-            'function compareAges(address otherUser) returns (bytes32)',
-            'function completeVerificationForUser(address user, bool isAdult)',
+            'function requestAgeComparison(address target) returns (uint256)',
+            'function approveComparisonRequest(uint256 requestId)',
+            'function rejectComparisonRequest(uint256 requestId)',
+            'function compareAges(uint256 requestId) returns (bytes32)',
+            'function evaluatePolicy(uint256 policyId) returns (bytes32)',
+            'function requestPolicyVerification(address user, uint256 policyId)',
+            'function createAgePolicy(string name, uint8 minAge, uint8 maxAge) returns (uint256)',
+            'function issueAttestation(address subject, uint256 policyId, uint256 issuedAt, uint256 expiresAt, bytes signature)',
+            'function completeVerificationForUser(address user)',
+            'function completeVerificationsForUsers(address[] users)',
+            'function revokeVerification(address user, uint8 reason)',
+            'function setVerificationValidityPeriod(uint256 validityPeriod)',
+            'function addAuthorizedVerifier(address verifier)',
+            'function removeAuthorizedVerifier(address verifier)',
+            'function resetUserVerification(address user)',
+            'function emergencyPause()',
+            'function emergencyUnpause()',
 
             // Events
             'event AgeSubmitted(address indexed user, uint256 timestamp)',
+            'event AgeResubmitted(address indexed user, uint256 timestamp)',
+            'event VerificationDeleted(address indexed user, uint256 timestamp)',
             'event VerificationCompleted(address indexed user, bool isAdult, uint256 timestamp)',
-            'event AgeVerificationRequested(address indexed user, uint256 timestamp)'
+            'event AgeVerificationRequested(address indexed user, uint256 timestamp)',
+            'event VerificationRevoked(address indexed user, uint8 reason, address indexed verifier, uint256 timestamp)',
+            'event VerificationValidityPeriodUpdated(uint256 validityPeriod)',
+            'event ComparisonRequested(uint256 indexed requestId, address indexed requester, address indexed target, uint256 expiresAt)',
+            'event ComparisonRequestApproved(uint256 indexed requestId, address indexed requester, address indexed target)',
+            'event ComparisonRequestRejected(uint256 indexed requestId, address indexed requester, address indexed target)',
+            'event AgesCompared(uint256 indexed comparisonId, address indexed requester, address indexed otherUser, bytes32 resultHandle)',
+            'event AgePolicyCreated(uint256 indexed policyId, string name, uint8 minAge, uint8 maxAge)',
+            'event PolicyEvaluated(address indexed user, uint256 indexed policyId, bytes32 resultHandle)',
+            'event PolicyVerificationRequested(address indexed user, uint256 indexed policyId)',
+            'event PolicyVerificationCompleted(address indexed user, uint256 indexed policyId, bool satisfied, uint256 timestamp)',
+            'event AgeRangeVerified(address indexed user, uint256 indexed proofId, uint8 minAge, uint8 maxAge, bytes32 resultHandle)',
+            'event ConsumerAccessGranted(address indexed user, address indexed consumer)',
+            'event ConsumerAccessRevoked(address indexed user, address indexed consumer)',
+            'event AttestationIssued(address indexed subject, uint256 indexed policyId, address indexed verifier, uint256 expiresAt)',
+
+            // Custom errors, shared with the decoder in errors.js
+            ...PrivateAgeErrors.CONTRACT_ERRORS_ABI
         ];
 
+        // Mirrors RevocationReason in the contract
+        this.revocationReasons = ['None', 'Fraud', 'User request', 'Data error', 'Other'];
+
+        // Wallet, network and contract plumbing shared with the embeddable age gate (age-gate.js)
+        this.core = new AgeGateCore({
+            network: this.network,
+            contractAddress: this.contractAddress,
+            abi: this.contractABI,
+            onProgress: (text) => this.showLoading(text)
+        });
+
+        // EIP-6963 wallets plus any window.ethereum provider; the last choice is remembered
+        this.wallets = new WalletConnectorRegistry();
+        this.activeConnectorId = null;
+        this.stopWalletEvents = null;
+        this.readOnly = false;
+
         this.provider = null;
         this.signer = null;
         this.contract = null;
         this.userAddress = null;
+        this.fhevmInstance = null;
+        this.decryptionSession = null;
+        this.decryptionPollTimer = null;
+        this.decryptedValues = {};
+        this.userRecord = null;
+        this.resubmissionCooldown = null;
+        this.rangeProofs = [];
+        this.comparisons = { incoming: [], outgoing: [] };
+        this.comparisonRequests = { received: [], sent: [] };
+        this.userRole = { isOwner: false, isVerifier: false };
+        this.contractPaused = false;
+        this.agePolicies = [];
+        this.policyStatus = null;
+        this.attestations = [];
+        this.grantedConsumers = [];
+        this.pendingQueue = [];
+        this.selectedPending = new Set();
+        this.stopQueueWatch = null;
+        this.stopLiveEventsHandler = null;
+        this.activityFeed = [];
+        this.statsRefreshTimer = null;
+        this.verificationHistory = [];
+        this.historyPage = 0;
+        this.historyPageSize = 20;
         this.transactions = [];
+        this.showAllTransactions = false;
+        this.trackedTransactions = new Set();
+        this.transactionTimeout = 10 * 60 * 1000;
 
         this.init();
     }
@@ -39,7 +147,12 @@ class PrivateAgeVerificationApp {
     async init() {
         // Wait for ethers.js to load
         await this.waitForEthers();
+        this.renderNetworkInfo();
         this.setupEventListeners();
+        this.wallets.onChange(() => this.renderWalletPicker());
+        await this.wallets.discover();
+        this.updateNotificationButton();
+        await this.loadReadOnlyData();
         await this.checkConnection();
         this.updateUI();
     }
@@ -67,25 +180,232 @@ class PrivateAgeVerificationApp {
         });
     }
 
+    renderNetworkInfo() {
+        const select = document.getElementById('networkSelect');
+        select.innerHTML = Object.values(AGE_VERIFICATION_NETWORKS).map(network => `
+            <option value="${network.key}">${this.escapeHtml(network.name)}</option>
+        `).join('');
+        select.value = this.network.key;
+
+        document.getElementById('networkName').textContent = this.network.name;
+        document.getElementById('contractAddress').textContent = this.contractAddress;
+        document.getElementById('expectedContractAddress').textContent = this.contractAddress;
+        document.getElementById('expectedNetwork').textContent = `${this.network.name} (Chain ID: ${this.network.chainId})`;
+
+        const link = document.getElementById('contractExplorerLink');
+        const explorerUrl = getExplorerUrl(this.network, 'address', this.contractAddress);
+        link.style.display = explorerUrl ? '' : 'none';
+        if (explorerUrl) link.href = explorerUrl;
+    }
+
+    // Public data (statistics, pause state) is readable over the network's RPC before connecting
+    async loadReadOnlyData() {
+        try {
+            this.core.getReadOnlyContract();
+            this.readOnly = true;
+
+            await Promise.all([
+                this.refreshStats(),
+                this.loadPauseState()
+            ]);
+
+            this.startLiveEvents();
+        } catch (error) {
+            console.warn('Read-only mode unavailable:', error.message);
+        }
+    }
+
+    getReadContract() {
+        return this.contract || (this.readOnly ? this.core.getReadOnlyContract() : null);
+    }
+
+    openWalletPicker() {
+        this.renderWalletPicker();
+        document.getElementById('walletPicker').style.display = 'flex';
+    }
+
+    closeWalletPicker() {
+        document.getElementById('walletPicker').style.display = 'none';
+    }
+
+    renderWalletPicker() {
+        const list = document.getElementById('walletList');
+        const connectors = this.wallets.list();
+
+        if (connectors.length === 0) {
+            list.innerHTML = '<p class="no-transactions">No wallets detected</p>';
+            return;
+        }
+
+        list.innerHTML = connectors.map(connector => `
+            <button class="wallet-option ${connector.id === this.activeConnectorId ? 'active' : ''}" data-wallet-id="${this.escapeHtml(connector.id)}">
+                ${connector.icon
+                    ? `<img src="${connector.icon.replace(/"/g, '%22')}" alt="" width="28" height="28">`
+                    : '<span class="wallet-icon-placeholder">👛</span>'}
+                <span>${this.escapeHtml(connector.name)}</span>
+            </button>
+        `).join('');
+
+        document.getElementById('changeWalletBtn').style.display = connectors.length > 1 ? '' : 'none';
+    }
+
+    watchWalletEvents(provider) {
+        if (this.stopWalletEvents) this.stopWalletEvents();
+        if (typeof provider.on !== 'function') return;
+
+        const handleAccountsChanged = (accounts) => {
+            if (accounts.length === 0) {
+                location.reload();
+            } else {
+                this.connectWallet(this.activeConnectorId);
+            }
+        };
+        const handleChainChanged = () => location.reload();
+
+        provider.on('accountsChanged', handleAccountsChanged);
+        provider.on('chainChanged', handleChainChanged);
+
+        this.stopWalletEvents = () => {
+            if (typeof provider.removeListener === 'function') {
+                provider.removeListener('accountsChanged', handleAccountsChanged);
+                provider.removeListener('chainChanged', handleChainChanged);
+            }
+            this.stopWalletEvents = null;
+        };
+    }
+
+    switchNetworkSelection(key) {
+        // Reload so every component is rebuilt against the selected deployment
+        const url = new URL(window.location.href);
+        if (key === DEFAULT_NETWORK_KEY) {
+            url.searchParams.delete('network');
+        } else {
+            url.searchParams.set('network', key);
+        }
+        window.location.assign(url.toString());
+    }
+
     setupEventListeners() {
         // Connection
         document.getElementById('connectBtn').addEventListener('click', () => this.connectWallet());
+        document.getElementById('networkSelect').addEventListener('change', (event) => this.switchNetworkSelection(event.target.value));
+        document.getElementById('changeWalletBtn').addEventListener('click', () => this.openWalletPicker());
+        document.getElementById('walletPickerCancelBtn').addEventListener('click', () => this.closeWalletPicker());
+        document.getElementById('walletList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-wallet-id]');
+            if (!button) return;
+            this.closeWalletPicker();
+            this.connectWallet(button.dataset.walletId);
+        });
 
         // Age submission
         document.getElementById('submitAgeBtn').addEventListener('click', () => this.submitAge());
-        document.getElementById('ageInput').addEventListener('input', () => this.validateAgeInput());
+        document.getElementById('birthDateInput').addEventListener('input', () => this.validateBirthDateInput());
+
+        // Record management
+        document.getElementById('resubmitBirthDateInput').addEventListener('input', () => this.updateRecordButtons());
+        document.getElementById('resubmitBtn').addEventListener('click', () => this.resubmitAge());
+        document.getElementById('deleteRecordBtn').addEventListener('click', () => this.deleteMyRecord());
 
         // Verification
         document.getElementById('getVerificationBtn').addEventListener('click', () => this.getVerificationResult());
+        document.getElementById('refreshAdultBtn').addEventListener('click', () => this.refreshAdultStatus());
         document.getElementById('checkAdultStatusBtn').addEventListener('click', () => this.checkAdultStatus());
 
+        // Age policies
+        document.getElementById('policySelect').addEventListener('change', () => this.loadPolicyStatus());
+        document.getElementById('evaluatePolicyBtn').addEventListener('click', () => this.evaluatePolicy());
+        document.getElementById('decryptPolicyBtn').addEventListener('click', () => this.decryptPolicyResult());
+        document.getElementById('publishPolicyBtn').addEventListener('click', () => this.publishPolicyResult());
+        document.getElementById('attestationList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-attestation-index]');
+            if (button) this.downloadAttestation(Number(button.dataset.attestationIndex));
+        });
+
+        // Contract access
+        document.getElementById('consumerAddress').addEventListener('input', () => this.validateConsumerInput());
+        document.getElementById('grantConsumerBtn').addEventListener('click', () => this.grantConsumerAccess());
+        document.getElementById('consumerList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-revoke-consumer]');
+            if (button) this.revokeConsumerAccess(button.dataset.revokeConsumer);
+        });
+
         // Advanced features
         document.getElementById('verifyRangeBtn').addEventListener('click', () => this.verifyAgeRange());
-        document.getElementById('compareAgeBtn').addEventListener('click', () => this.compareAges());
+        document.getElementById('compareAgeBtn').addEventListener('click', () => this.requestAgeComparison());
+        ['rangeProofList', 'outgoingComparisonList', 'incomingComparisonList'].forEach(listId => {
+            document.getElementById(listId).addEventListener('click', (event) => {
+                const button = event.target.closest('[data-handle]');
+                if (button) this.decryptRecord(button.dataset.handle);
+            });
+        });
+        ['receivedRequestList', 'sentRequestList'].forEach(listId => {
+            document.getElementById(listId).addEventListener('click', (event) => {
+                const button = event.target.closest('[data-request-action]');
+                if (button) this.handleComparisonRequestAction(button.dataset.requestAction, Number(button.dataset.requestId));
+            });
+        });
 
         // Statistics
         document.getElementById('refreshStatsBtn').addEventListener('click', () => this.refreshStats());
 
+        // Activity feed
+        document.getElementById('enableNotificationsBtn').addEventListener('click', () => this.enableNotifications());
+
+        // Transaction history
+        ['txTypeFilter', 'txStatusFilter'].forEach(selectId => {
+            document.getElementById(selectId).addEventListener('change', () => this.updateTransactionList());
+        });
+        document.getElementById('toggleTxHistoryBtn').addEventListener('click', () => {
+            this.showAllTransactions = !this.showAllTransactions;
+            this.updateTransactionList();
+        });
+
+        // Address lookup
+        document.getElementById('lookupBtn').addEventListener('click', () => this.lookupAddress());
+        document.getElementById('lookupAddress').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.lookupAddress();
+        });
+
+        // Admin console
+        document.getElementById('addVerifierBtn').addEventListener('click', () => this.manageVerifier(true));
+        document.getElementById('removeVerifierBtn').addEventListener('click', () => this.manageVerifier(false));
+        document.getElementById('resetUserBtn').addEventListener('click', () => this.resetUser());
+        document.getElementById('pauseBtn').addEventListener('click', () => this.setPaused(true));
+        document.getElementById('unpauseBtn').addEventListener('click', () => this.setPaused(false));
+        document.getElementById('completeUserBtn').addEventListener('click', () => this.completeUserVerification());
+        document.getElementById('createPolicyBtn').addEventListener('click', () => this.createAgePolicy());
+        document.getElementById('revokeBtn').addEventListener('click', () => this.revokeVerification());
+        document.getElementById('setValidityBtn').addEventListener('click', () => this.setValidityPeriod());
+        document.getElementById('issueAttestationBtn').addEventListener('click', () => this.issueAttestation());
+        document.getElementById('refreshQueueBtn').addEventListener('click', () => this.loadPendingQueue());
+        document.getElementById('completeSelectedBtn').addEventListener('click', () => this.completeSelectedVerifications());
+        document.getElementById('pendingQueueList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-complete-address]');
+            if (button) this.completeUserVerification(button.dataset.completeAddress);
+        });
+        document.getElementById('loadHistoryBtn').addEventListener('click', () => this.loadVerificationHistory());
+        document.getElementById('historyPrevBtn').addEventListener('click', () => this.changeHistoryPage(-1));
+        document.getElementById('historyNextBtn').addEventListener('click', () => this.changeHistoryPage(1));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportHistory('csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportHistory('json'));
+        ['historyAddressFilter', 'historyResultFilter', 'historyFromDate', 'historyToDate'].forEach(inputId => {
+            document.getElementById(inputId).addEventListener('input', () => {
+                this.historyPage = 0;
+                this.renderHistoryPage();
+            });
+        });
+        document.getElementById('pendingQueueList').addEventListener('change', (event) => {
+            const checkbox = event.target.closest('[data-pending-address]');
+            if (!checkbox) return;
+            if (checkbox.checked) {
+                this.selectedPending.add(checkbox.dataset.pendingAddress);
+            } else {
+                this.selectedPending.delete(checkbox.dataset.pendingAddress);
+            }
+            this.updateQueueSelection();
+        });
+
         // Input validation
         document.getElementById('minAge').addEventListener('input', () => this.validateRangeInputs());
         document.getElementById('maxAge').addEventListener('input', () => this.validateRangeInputs());
@@ -93,56 +413,65 @@ class PrivateAgeVerificationApp {
     }
 
     async checkConnection() {
-        if (typeof window.ethereum !== 'undefined') {
-            try {
-                this.provider = new ethers.BrowserProvider(window.ethereum);
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+        try {
+            // Only reconnect silently to the wallet the user picked last time
+            const connectors = this.wallets.list();
+            const saved = this.wallets.get(localStorage.getItem('pav-wallet'))
+                || (connectors.length === 1 ? connectors[0] : null);
+            if (!saved) return;
 
-                if (accounts.length > 0) {
-                    await this.connectWallet();
-                }
-            } catch (error) {
-                console.error('Error checking connection:', error);
+            this.core.setProvider(saved.provider);
+            const accounts = await this.core.getAuthorizedAccounts();
+
+            if (accounts.length > 0) {
+                await this.connectWallet(saved.id);
             }
+        } catch (error) {
+            console.error('Error checking connection:', error);
         }
     }
 
-    async connectWallet() {
+    async connectWallet(connectorId) {
         try {
-            if (typeof window.ethereum === 'undefined') {
-                this.showToast('MetaMask not detected! Please install MetaMask browser extension to continue.', 'error');
+            const connectors = this.wallets.list();
+
+            if (connectors.length === 0) {
+                this.showToast('No wallet detected! Please install a browser wallet such as MetaMask to continue.', 'error');
                 window.open('https://metamask.io/download/', '_blank');
                 return;
             }
 
-            this.showLoading('Connecting to MetaMask...');
+            const id = connectorId || this.activeConnectorId || (connectors.length === 1 ? connectors[0].id : null);
+            const connector = this.wallets.get(id);
 
-            // Request account access
-            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-
-            if (accounts.length === 0) {
-                throw new Error('No accounts found. Please unlock MetaMask.');
+            if (!connector) {
+                this.openWalletPicker();
+                return;
             }
 
-            this.provider = new ethers.BrowserProvider(window.ethereum);
-            this.signer = await this.provider.getSigner();
-            this.userAddress = await this.signer.getAddress();
+            if (this.core.ethereum !== connector.provider) {
+                this.stopPendingQueueWatch();
+                this.stopLiveEvents();
+                this.core.setProvider(connector.provider);
+                this.fhevmInstance = null;
+            }
 
-            // Check and switch network
-            const network = await this.provider.getNetwork();
-            const chainId = Number(network.chainId);
+            // Requests accounts, switches to the selected network if needed and builds the contract
+            await this.core.connect();
 
-            if (chainId !== 11155111) { // Sepolia testnet
-                this.showLoading('Switching to Sepolia testnet...');
-                await this.switchToSepolia();
+            this.activeConnectorId = connector.id;
+            localStorage.setItem('pav-wallet', connector.id);
+            this.watchWalletEvents(connector.provider);
 
-                // Refresh provider after network switch
-                this.provider = new ethers.BrowserProvider(window.ethereum);
-                this.signer = await this.provider.getSigner();
-            }
+            this.provider = this.core.provider;
+            this.signer = this.core.signer;
+            this.userAddress = this.core.userAddress;
+            this.contract = this.core.contract;
+            this.decryptionSession = null;
+            this.decryptedValues = {};
 
-            // Initialize contract
-            this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.signer);
+            // History is kept per account and chain; resume waiting on anything still pending
+            this.loadTransactionHistory();
 
             // Verify contract exists and is deployed
             await this.verifyContract();
@@ -154,92 +483,53 @@ class PrivateAgeVerificationApp {
             try {
                 await Promise.all([
                     this.refreshStats(),
-                    this.loadUserStatus()
+                    this.loadUserStatus(),
+                    this.loadPolicies(),
+                    this.loadRangeProofs(),
+                    this.loadAttestations(),
+                    this.loadGrantedConsumers(),
+                    this.loadComparisons(),
+                    this.loadComparisonRequests(),
+                    this.loadUserRole(),
+                    this.loadPauseState()
                 ]);
             } catch (error) {
                 console.warn('Initial data loading failed:', error.message);
                 // Continue anyway, might be first time use
             }
 
-            this.showToast('Successfully connected to Sepolia testnet! ✅', 'success');
+            // Rebuild subscriptions against the new signer and account
+            this.startLiveEvents();
+
+            this.showToast(`Successfully connected to ${this.network.name}! ✅`, 'success');
 
         } catch (error) {
             this.hideLoading();
             console.error('Wallet connection error:', error);
 
-            let errorMessage = 'Failed to connect wallet';
-            if (error.code === 4001) {
-                errorMessage = 'Connection rejected by user';
-            } else if (error.code === -32002) {
-                errorMessage = 'MetaMask is already processing a request. Please check MetaMask.';
-            } else if (error.message) {
-                errorMessage = error.message;
-            }
-
-            this.showToast(errorMessage, 'error');
-        }
-    }
-
-    async switchToSepolia() {
-        try {
-            // First try to switch to Sepolia
-            await window.ethereum.request({
-                method: 'wallet_switchEthereumChain',
-                params: [{ chainId: '0xaa36a7' }], // Sepolia testnet
-            });
-        } catch (switchError) {
-            // If the network doesn't exist, add it
-            if (switchError.code === 4902 || switchError.code === -32603) {
-                try {
-                    await window.ethereum.request({
-                        method: 'wallet_addEthereumChain',
-                        params: [{
-                            chainId: '0xaa36a7',
-                            chainName: 'Sepolia Test Network',
-                            nativeCurrency: {
-                                name: 'Sepolia ETH',
-                                symbol: 'ETH',
-                                decimals: 18
-                            },
-                            rpcUrls: ['https://sepolia.infura.io/v3/'],
-                            blockExplorerUrls: ['https://sepolia.etherscan.io/']
-                        }]
-                    });
-                } catch (addError) {
-                    throw new Error('Failed to add Sepolia network to MetaMask. Please add it manually.');
-                }
-            } else if (switchError.code === 4001) {
-                throw new Error('Network switch rejected by user');
-            } else {
-                throw new Error('Failed to switch to Sepolia network: ' + switchError.message);
-            }
+            this.showToast(this.formatError(error), 'error');
         }
     }
 
     async verifyContract() {
         try {
             // Check if contract exists at address
-            const code = await this.provider.getCode(this.contractAddress);
-
-            if (code === '0x') {
-                throw new Error(`No contract found at address ${this.contractAddress}. Please check if the contract is deployed correctly.`);
-            }
+            await this.core.verifyDeployment();
 
             console.log('Contract verified at address:', this.contractAddress);
 
-            // Try to call a simple view function to test ABI compatibility
+            // Older deployments also have owner(), so probe a function only the current interface has
             try {
-                await this.contract.owner();
+                await this.contract.getAgePolicyCount();
                 console.log('Contract ABI is compatible');
             } catch (error) {
-                console.warn('Contract ABI might not be compatible:', error.message);
-                // Don't throw here, some contracts might not have owner() function
+                throw new Error(`The contract at ${this.contractAddress} is an older version without the current interface. Redeploy it and update networks.js.`);
             }
 
         } catch (error) {
             console.error('Contract verification failed:', error);
             this.showContractWarning();
-            this.showToast('Contract verification failed: ' + error.message, 'error');
+            this.showToast('Contract verification failed: ' + this.formatError(error), 'error');
             throw error;
         }
     }
@@ -270,8 +560,9 @@ class PrivateAgeVerificationApp {
 
         // Disable buttons that require contract interaction
         const buttonsToDisable = [
-            'submitAgeBtn', 'getVerificationBtn', 'checkAdultStatusBtn',
-            'verifyRangeBtn', 'compareAgeBtn'
+            'submitAgeBtn', 'getVerificationBtn', 'checkAdultStatusBtn', 'refreshAdultBtn',
+            'verifyRangeBtn', 'compareAgeBtn',
+            'evaluatePolicyBtn', 'decryptPolicyBtn', 'publishPolicyBtn'
         ];
 
         buttonsToDisable.forEach(buttonId => {
@@ -285,10 +576,10 @@ class PrivateAgeVerificationApp {
 
     async submitAge() {
         try {
-            const age = parseInt(document.getElementById('ageInput').value);
+            const birthDate = this.getBirthDateInput('birthDateInput');
 
-            if (!age || age < 1 || age > 120) {
-                this.showToast('Please enter a valid age between 1 and 120', 'error');
+            if (!birthDate || birthDate.age < 1 || birthDate.age > 120) {
+                this.showToast('Please enter a birth date that gives an age between 1 and 120', 'error');
                 return;
             }
 
@@ -297,232 +588,1741 @@ class PrivateAgeVerificationApp {
                 return;
             }
 
-            this.showLoading('Submitting encrypted age...');
+            this.showLoading('Encrypting birth date in your browser...');
             this.setButtonLoading('submitAgeBtn', true);
 
-            const tx = await this.contract.submitEncryptedAge(age);
-            this.addTransaction(tx.hash, 'Age Submission', 'pending');
+            const { handles, inputProof } = await this.encryptBirthMonth(birthDate.birthMonth);
 
-            const receipt = await tx.wait();
+            this.showLoading('Submitting encrypted birth date...');
+
+            const tx = await this.sendTransaction('submitEncryptedBirthDate', [handles[0], inputProof]);
+            this.addTransaction(tx.hash, 'Birth Date Submission', 'pending');
+
+            const receipt = await this.waitForTransaction(tx);
 
             this.hideLoading();
             this.setButtonLoading('submitAgeBtn', false);
-            this.updateTransaction(tx.hash, 'success');
 
-            this.showMessage('ageSubmissionStatus', 'Age submitted successfully! Your age has been encrypted and stored securely on the blockchain.', 'success');
+            this.showMessage('ageSubmissionStatus', 'Birth date submitted successfully! It has been encrypted and stored securely on the blockchain, and age checks are computed against the current date.', 'success');
 
             await this.loadUserStatus();
             await this.refreshStats();
 
-            document.getElementById('ageInput').value = '';
+            document.getElementById('birthDateInput').value = '';
 
         } catch (error) {
             this.hideLoading();
             this.setButtonLoading('submitAgeBtn', false);
-            console.error('Submit age error:', error);
-            this.showMessage('ageSubmissionStatus', 'Error submitting age: ' + error.message, 'error');
+            console.error('Submit birth date error:', error);
+            this.showMessage('ageSubmissionStatus', 'Error submitting birth date: ' + this.formatError(error), 'error');
         }
     }
 
-    async getVerificationResult() {
+    async resubmitAge() {
         try {
-            if (!this.contract) {
-                this.showToast('Please connect your wallet first', 'error');
+            const birthDate = this.getBirthDateInput('resubmitBirthDateInput');
+
+            if (!birthDate || birthDate.age < 1 || birthDate.age > 120) {
+                this.showToast('Please enter a birth date that gives an age between 1 and 120', 'error');
+                return;
+            }
+
+            if (!window.confirm('Replace your submission? Your completion status and policy results will be reset and need to be verified again.')) {
                 return;
             }
 
-            this.showLoading('Getting verification result...');
+            this.showLoading('Encrypting birth date in your browser...');
+
+            const { handles, inputProof } = await this.encryptBirthMonth(birthDate.birthMonth);
+
+            this.showLoading('Replacing encrypted birth date...');
+
+            const tx = await this.sendTransaction('resubmitEncryptedBirthDate', [handles[0], inputProof]);
+            this.addTransaction(tx.hash, 'Birth Date Resubmission', 'pending');
 
-            const result = await this.contract.getVerificationResult();
+            await this.waitForTransaction(tx);
 
             this.hideLoading();
 
-            this.showMessage('verificationResult',
-                `Encrypted verification result: ${result}\\n\\nThis encrypted value represents your age verification status. Only authorized parties can decrypt this result to determine if you are 18+ years old.`,
-                'info');
+            this.showMessage('recordManagementStatus', 'Submission replaced. Your verification will need to be completed again.', 'success');
+            document.getElementById('resubmitBirthDateInput').value = '';
+
+            await this.refreshUserRecord();
 
         } catch (error) {
             this.hideLoading();
-            console.error('Get verification error:', error);
-            this.showMessage('verificationResult', 'Error getting verification result: ' + error.message, 'error');
+            console.error('Resubmit birth date error:', error);
+            this.showMessage('recordManagementStatus', 'Error replacing submission: ' + this.formatError(error), 'error');
         }
     }
 
-    async checkAdultStatus() {
+    async deleteMyRecord() {
         try {
-            if (!this.contract) {
-                this.showToast('Please connect your wallet first', 'error');
+            if (!window.confirm('Delete your verification record? Your encrypted birth date, completion status, range proofs, policy results and attestations will be removed, and every contract you granted access to will be revoked. This cannot be undone.')) {
                 return;
             }
 
-            this.showLoading('Checking adult status...');
+            this.showLoading('Deleting your verification record...');
+
+            const tx = await this.sendTransaction('deleteMyVerification');
+            this.addTransaction(tx.hash, 'Delete Verification Record', 'pending');
 
-            const [completed, isAdult] = await this.contract.isUserAdult(this.userAddress);
+            await this.waitForTransaction(tx);
 
             this.hideLoading();
 
-            if (completed) {
-                this.showMessage('verificationResult',
-                    `Verification Status: ${isAdult ? 'Verified Adult (18+ years old)' : 'Verified Minor (Under 18 years old)'}`,
-                    isAdult ? 'success' : 'info');
-            } else {
-                this.showMessage('verificationResult',
-                    'Age verification not completed yet. Please submit your age first and complete the verification process.',
-                    'info');
-            }
+            this.showMessage('recordManagementStatus', 'Your verification record has been deleted.', 'success');
+
+            await this.refreshUserRecord();
 
         } catch (error) {
             this.hideLoading();
-            console.error('Check adult status error:', error);
-            this.showMessage('verificationResult', 'Error checking adult status: ' + error.message, 'error');
+            console.error('Delete record error:', error);
+            this.showMessage('recordManagementStatus', 'Error deleting record: ' + this.formatError(error), 'error');
         }
     }
 
-    async verifyAgeRange() {
-        try {
-            const minAge = parseInt(document.getElementById('minAge').value);
-            const maxAge = parseInt(document.getElementById('maxAge').value);
+    async refreshUserRecord() {
+        await Promise.all([
+            this.loadUserStatus(),
+            this.refreshStats(),
+            this.loadRangeProofs(),
+            this.loadAttestations(),
+            this.loadPolicyStatus(),
+            this.loadGrantedConsumers()
+        ]);
+    }
 
-            if (!minAge || !maxAge || minAge < 1 || maxAge > 120 || minAge > maxAge) {
-                this.showToast('Please enter valid age range (1-120, min ≤ max)', 'error');
-                return;
-            }
+    updateRecordButtons() {
+        const record = this.userRecord;
+        const resubmitBtn = document.getElementById('resubmitBtn');
+        const deleteBtn = document.getElementById('deleteRecordBtn');
+        const cooldownText = document.getElementById('resubmitCooldown');
+
+        if (!this.contract || !record || !record.hasSubmitted) {
+            resubmitBtn.disabled = true;
+            deleteBtn.disabled = true;
+            cooldownText.textContent = 'Submit your birth date first';
+            return;
+        }
+
+        const availableAt = record.timestamp + (this.resubmissionCooldown || 0);
+        const coolingDown = availableAt * 1000 > Date.now();
+        const birthDate = this.getBirthDateInput('resubmitBirthDateInput');
+        const validInput = birthDate && birthDate.age >= 1 && birthDate.age <= 120;
+
+        // Both cancel a pending decryption; its late result is discarded by the contract
+        cooldownText.textContent = coolingDown
+            ? `Replacement available after ${new Date(availableAt * 1000).toLocaleString()}`
+            : 'You can replace your submission';
+
+        resubmitBtn.disabled = !validInput || coolingDown || this.contractPaused;
+        deleteBtn.disabled = false;
+    }
+
+    async getFhevmInstance() {
+        if (this.fhevmInstance) return this.fhevmInstance;
+
+        if (typeof window.relayerSDK === 'undefined') {
+            throw new Error('FHEVM client library not loaded. Please refresh the page.');
+        }
+
+        // The registry names a relayer SDK preset or supplies a full config object
+        const config = typeof this.network.fhevm === 'string' ? window.relayerSDK[this.network.fhevm] : this.network.fhevm;
+        if (!config) {
+            throw new Error(`Client-side encryption is not configured for ${this.network.name}. Add its FHEVM config to networks.js.`);
+        }
 
+        const { initSDK, createInstance } = window.relayerSDK;
+        await initSDK();
+        this.fhevmInstance = await createInstance({ ...config, network: this.core.ethereum });
+        console.log('FHEVM instance ready');
+
+        return this.fhevmInstance;
+    }
+
+    async encryptBirthMonth(birthMonth) {
+        // Build the ciphertext and input proof locally so the plain birth date never reaches calldata
+        const instance = await this.getFhevmInstance();
+        const input = instance.createEncryptedInput(this.contractAddress, this.userAddress);
+        input.add16(birthMonth);
+        return input.encrypt();
+    }
+
+    async getDecryptionSession() {
+        const now = Math.floor(Date.now() / 1000);
+        if (this.decryptionSession && this.decryptionSession.expiresAt > now) {
+            return this.decryptionSession;
+        }
+
+        const instance = await this.getFhevmInstance();
+        const keypair = instance.generateKeypair();
+        const startTimeStamp = now.toString();
+        const durationDays = '1';
+        const contractAddresses = [this.contractAddress];
+
+        // The wallet signs an EIP-712 request binding the ephemeral public key to this user and contract
+        const eip712 = instance.createEIP712(keypair.publicKey, contractAddresses, startTimeStamp, durationDays);
+        const signature = await this.signer.signTypedData(
+            eip712.domain,
+            { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+            eip712.message
+        );
+
+        this.decryptionSession = {
+            keypair,
+            signature: signature.replace('0x', ''),
+            contractAddresses,
+            startTimeStamp,
+            durationDays,
+            expiresAt: now + Number(durationDays) * 24 * 60 * 60
+        };
+
+        return this.decryptionSession;
+    }
+
+    async userDecrypt(handle) {
+        const instance = await this.getFhevmInstance();
+        const session = await this.getDecryptionSession();
+
+        const result = await instance.userDecrypt(
+            [{ handle, contractAddress: this.contractAddress }],
+            session.keypair.privateKey,
+            session.keypair.publicKey,
+            session.signature,
+            session.contractAddresses,
+            this.userAddress,
+            session.startTimeStamp,
+            session.durationDays
+        );
+
+        return result[handle];
+    }
+
+    async getVerificationResult() {
+        try {
             if (!this.contract) {
                 this.showToast('Please connect your wallet first', 'error');
                 return;
             }
 
-            this.showLoading('Verifying age range...');
+            this.showLoading('Getting encrypted verification result...');
+
+            const [handle, evaluatedAt] = await this.contract.getVerificationResult();
+
+            this.showLoading('Please sign the decryption request in your wallet...');
 
-            const result = await this.contract.verifyAgeRange(minAge, maxAge);
-            const receipt = await result.wait();
+            const isAdult = await this.userDecrypt(handle);
 
             this.hideLoading();
 
-            this.showMessage('advancedResult',
-                `Age range verification completed successfully!\\nVerified range: ${minAge}-${maxAge} years old\\nTransaction hash: ${receipt.hash}\\n\\nThe encrypted result indicates whether your age falls within the specified range.`,
-                'success');
+            this.showMessage('verificationResult',
+                `Decrypted result as of ${new Date(Number(evaluatedAt) * 1000).toLocaleDateString()}: ${isAdult ? 'Yes, you are 18+ years old' : 'No, you are under 18 years old'}. This value was decrypted only in your browser and was not revealed on-chain. Use "Re-evaluate Now" to recompute it for today's date.`,
+                isAdult ? 'success' : 'info');
 
         } catch (error) {
             this.hideLoading();
-            console.error('Verify age range error:', error);
-            this.showMessage('advancedResult', 'Error verifying age range: ' + error.message, 'error');
+            console.error('Get verification error:', error);
+            if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+                this.showMessage('verificationResult', 'Decryption request signature rejected by user', 'error');
+                return;
+            }
+            this.showMessage('verificationResult', 'Error decrypting verification result: ' + this.formatError(error), 'error');
         }
     }
 
-    async compareAges() {
+    async refreshAdultStatus() {
         try {
-            const otherAddress = document.getElementById('compareAddress').value.trim();
-
-            if (!this.isValidAddress(otherAddress)) {
-                this.showToast('Please enter a valid Ethereum address', 'error');
-                return;
-            }
-
             if (!this.contract) {
                 this.showToast('Please connect your wallet first', 'error');
                 return;
             }
 
-            this.showLoading('Comparing ages...');
+            this.showLoading('Re-evaluating your adult status for today...');
 
-            const result = await this.contract.compareAges(otherAddress);
-            const receipt = await result.wait();
+            const tx = await this.sendTransaction('refreshAdultStatus');
+            this.addTransaction(tx.hash, 'Re-evaluate Adult Status', 'pending');
+
+            await this.waitForTransaction(tx);
 
             this.hideLoading();
 
-            this.showMessage('advancedResult',
-                `Age comparison completed successfully!\\nCompared with: ${this.formatAddress(otherAddress)}\\nTransaction hash: ${receipt.hash}\\n\\nThe encrypted result shows whether you are older than the other user (privacy-preserving comparison).`,
+            this.showMessage('verificationResult',
+                'Adult status recomputed against the current date. Decrypt it to see the new result.',
                 'success');
 
         } catch (error) {
             this.hideLoading();
-            console.error('Compare ages error:', error);
-            this.showMessage('advancedResult', 'Error comparing ages: ' + error.message, 'error');
+            console.error('Refresh adult status error:', error);
+            this.showMessage('verificationResult', 'Error re-evaluating adult status: ' + this.formatError(error), 'error');
         }
     }
 
-    async refreshStats() {
+    async checkAdultStatus() {
         try {
-            if (!this.contract) return;
+            if (!this.contract) {
+                this.showToast('Please connect your wallet first', 'error');
+                return;
+            }
 
-            const [totalUsers, completedVerifications, pendingCount] = await this.contract.getVerificationStats();
+            this.showLoading('Checking adult status...');
 
-            document.getElementById('totalUsers').textContent = totalUsers.toString();
-            document.getElementById('completedVerifications').textContent = completedVerifications.toString();
-            document.getElementById('pendingVerifications').textContent = pendingCount.toString();
+            const { completed, isAdult } = await this.core.getStatus(this.userAddress);
+
+            this.hideLoading();
+
+            if (completed) {
+                this.showMessage('verificationResult',
+                    `Verification Status: ${isAdult ? 'Verified Adult (18+ years old)' : 'Verified Minor (Under 18 years old)'}`,
+                    isAdult ? 'success' : 'info');
+            } else {
+                this.showMessage('verificationResult',
+                    'Age verification not completed yet. Please submit your age first and complete the verification process.',
+                    'info');
+            }
 
         } catch (error) {
-            console.error('Error refreshing stats:', error);
-            // Set default values instead of showing errors
-            document.getElementById('totalUsers').textContent = '0';
-            document.getElementById('completedVerifications').textContent = '0';
-            document.getElementById('pendingVerifications').textContent = '0';
+            this.hideLoading();
+            console.error('Check adult status error:', error);
+            this.showMessage('verificationResult', 'Error checking adult status: ' + this.formatError(error), 'error');
         }
     }
 
-    async loadUserStatus() {
+    async loadPolicies() {
         try {
-            if (!this.contract || !this.userAddress) return;
+            if (!this.contract) return;
 
-            const [hasSubmitted, completed, timestamp] = await this.contract.getUserVerificationStatus(this.userAddress);
+            const count = Number(await this.contract.getAgePolicyCount());
+            this.agePolicies = await Promise.all(Array.from({ length: count }, async (_, id) => {
+                const [name, minAge, maxAge] = await this.contract.agePolicies(id);
+                return { id, name, minAge: Number(minAge), maxAge: Number(maxAge) };
+            }));
 
-            document.getElementById('hasSubmittedAge').textContent = hasSubmitted ? 'Yes' : 'No';
-            document.getElementById('verificationCompleted').textContent = completed ? 'Yes' : 'No';
-            document.getElementById('submissionTime').textContent = timestamp > 0
-                ? new Date(Number(timestamp) * 1000).toLocaleString()
-                : '-';
+            ['policySelect', 'attestationPolicySelect'].forEach(selectId => {
+                const select = document.getElementById(selectId);
+                const selected = select.value;
 
-            document.getElementById('userStatusCard').style.display = 'block';
+                select.innerHTML = this.agePolicies.map(policy => `
+                    <option value="${policy.id}">${this.escapeHtml(policy.name)} (${this.formatPolicyRange(policy)})</option>
+                `).join('');
+
+                if (selected && this.agePolicies.some(policy => String(policy.id) === selected)) {
+                    select.value = selected;
+                }
+            });
+
+            this.updateAttestationList();
+
+            await this.loadPolicyStatus();
 
         } catch (error) {
-            console.error('Error loading user status:', error);
-            // Set default values
-            document.getElementById('hasSubmittedAge').textContent = 'No';
-            document.getElementById('verificationCompleted').textContent = 'No';
-            document.getElementById('submissionTime').textContent = '-';
-            document.getElementById('userStatusCard').style.display = 'block';
+            console.error('Error loading age policies:', error);
         }
     }
 
-    validateAgeInput() {
-        const age = parseInt(document.getElementById('ageInput').value);
-        const submitBtn = document.getElementById('submitAgeBtn');
+    formatPolicyRange(policy) {
+        return policy.maxAge === 0 ? `${policy.minAge}+` : `${policy.minAge}-${policy.maxAge}`;
+    }
 
-        if (age && age >= 1 && age <= 120 && this.contract) {
-            submitBtn.disabled = false;
-        } else {
-            submitBtn.disabled = true;
-        }
+    getSelectedPolicyId() {
+        const value = document.getElementById('policySelect').value;
+        return value === '' ? null : Number(value);
     }
 
-    validateRangeInputs() {
-        const minAge = parseInt(document.getElementById('minAge').value);
-        const maxAge = parseInt(document.getElementById('maxAge').value);
-        const verifyBtn = document.getElementById('verifyRangeBtn');
+    async loadPolicyStatus() {
+        try {
+            const policyId = this.getSelectedPolicyId();
+            if (!this.contract || !this.userAddress || policyId === null) return;
+
+            const [evaluated, pending, completed, timestamp, result] = await this.contract.getPolicyEvaluation(this.userAddress, policyId);
+            // Not eligible while the verification is expired or revoked, even with a published result
+            const [valid, satisfied] = await this.contract.isUserEligible(this.userAddress, policyId);
+
+            this.policyStatus = { policyId, evaluated, pending, completed, satisfied, timestamp: Number(timestamp), handle: result };
+
+            document.getElementById('policyEvaluated').textContent = evaluated ? 'Yes' : 'No';
+            document.getElementById('policyPublicStatus').textContent = completed
+                ? (!valid ? 'Completed: no longer valid (verification expired or revoked)'
+                    : satisfied ? 'Completed: satisfied' : 'Completed: not satisfied')
+                : (pending ? 'Decryption pending...' : 'Not published');
+            document.getElementById('policyUpdated').textContent = this.policyStatus.timestamp > 0
+                ? new Date(this.policyStatus.timestamp * 1000).toLocaleString()
+                : '-';
 
-        if (minAge && maxAge && minAge >= 1 && maxAge <= 120 && minAge <= maxAge && this.contract) {
-            verifyBtn.disabled = false;
-        } else {
-            verifyBtn.disabled = true;
+        } catch (error) {
+            console.error('Error loading policy status:', error);
+            this.policyStatus = null;
         }
+
+        this.updatePolicyButtons();
     }
 
-    validateAddressInput() {
-        const address = document.getElementById('compareAddress').value.trim();
-        const compareBtn = document.getElementById('compareAgeBtn');
+    updatePolicyButtons() {
+        const status = this.policyStatus;
+        const ready = !!this.contract && !!status;
+        const pending = ready && status.pending;
 
-        if (this.isValidAddress(address) && this.contract) {
-            compareBtn.disabled = false;
-        } else {
-            compareBtn.disabled = true;
-        }
+        // Re-evaluating recomputes the result for today's date and unlocks publishing again
+        document.getElementById('evaluatePolicyBtn').disabled = !ready || pending || this.contractPaused;
+        document.getElementById('decryptPolicyBtn').disabled = !ready || !status.evaluated;
+        document.getElementById('publishPolicyBtn').disabled = !ready || !status.evaluated || pending || status.completed || this.contractPaused;
     }
 
-    isValidAddress(address) {
-        return /^0x[a-fA-F0-9]{40}$/.test(address);
-    }
+    async loadAttestations() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const count = Number(await this.contract.getAttestationCount(this.userAddress));
+            const ids = Array.from({ length: count }, (_, i) => count - 1 - i);
+
+            this.attestations = await Promise.all(ids.map(async (id) => {
+                const [policyId, issuedAt, expiresAt, verifier, signature] = await this.contract.getAttestation(this.userAddress, id);
+                return { id, policyId: Number(policyId), issuedAt: Number(issuedAt), expiresAt: Number(expiresAt), verifier, signature };
+            }));
+
+            this.updateAttestationList();
+
+        } catch (error) {
+            console.error('Error loading attestations:', error);
+        }
+    }
+
+    updateAttestationList() {
+        const list = document.getElementById('attestationList');
+
+        if (this.attestations.length === 0) {
+            list.innerHTML = '<p class="no-transactions">No attestations issued yet</p>';
+            return;
+        }
+
+        const now = Date.now() / 1000;
+
+        list.innerHTML = this.attestations.map((attestation, index) => {
+            const policy = this.agePolicies.find(entry => entry.id === attestation.policyId);
+            const policyName = policy ? this.escapeHtml(policy.name) : `Policy #${attestation.policyId}`;
+            const expired = attestation.expiresAt <= now;
+
+            return `
+                <div class="record-item">
+                    <div>
+                        <div class="record-title">${policyName} • ${expired ? 'Expired' : 'Valid'}</div>
+                        <div class="record-meta">Signed by ${this.formatAddress(attestation.verifier)} • until ${new Date(attestation.expiresAt * 1000).toLocaleString()}</div>
+                    </div>
+                    <button class="btn btn-outline btn-small" data-attestation-index="${index}">Download</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    buildAttestation(subject, policyId, issuedAt, expiresAt) {
+        return {
+            domain: getAttestationDomain(this.network.chainId, this.contractAddress),
+            types: ATTESTATION_TYPES,
+            primaryType: 'AgeAttestation',
+            message: { subject, policyId, issuedAt, expiresAt }
+        };
+    }
+
+    downloadAttestation(index) {
+        const attestation = this.attestations[index];
+        if (!attestation) return;
+
+        // Same shape AgeAttestationVerifier.verify() expects (attestation.js)
+        const content = JSON.stringify({
+            ...this.buildAttestation(this.userAddress, attestation.policyId, attestation.issuedAt, attestation.expiresAt),
+            verifier: attestation.verifier,
+            signature: attestation.signature
+        }, null, 2);
+
+        const blob = new Blob([content], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `age-attestation-policy${attestation.policyId}-${attestation.issuedAt}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async runPolicyTransaction(method, args, label, loading, success) {
+        try {
+            this.showLoading(loading);
+
+            const tx = await this.sendTransaction(method, args);
+            this.addTransaction(tx.hash, label, 'pending');
+
+            await this.waitForTransaction(tx);
+
+            this.hideLoading();
+
+            this.showMessage('policyResult', success, 'success');
+            await this.loadPolicyStatus();
+
+        } catch (error) {
+            this.hideLoading();
+            console.error(`${label} error:`, error);
+            this.showMessage('policyResult', `Error (${label}): ` + this.formatError(error), 'error');
+        }
+    }
+
+    async evaluatePolicy() {
+        const policyId = this.getSelectedPolicyId();
+        if (!this.contract || policyId === null) return;
+
+        await this.runPolicyTransaction('evaluatePolicy', [policyId], 'Policy Evaluation', 'Evaluating policy on your encrypted age...',
+            'Policy evaluated on your encrypted age. Decrypt it privately or publish the result for relying parties.');
+    }
+
+    async publishPolicyResult() {
+        const policyId = this.getSelectedPolicyId();
+        if (!this.contract || policyId === null) return;
+
+        await this.runPolicyTransaction('requestPolicyVerification', [this.userAddress, policyId], 'Publish Policy Result', 'Requesting public decryption...',
+            'Public decryption requested. Relying parties can query the result once the oracle responds.');
+    }
+
+    async decryptPolicyResult() {
+        const status = this.policyStatus;
+        if (!status || !status.evaluated) return;
+
+        try {
+            this.showLoading('Please sign the decryption request in your wallet...');
+
+            const satisfied = await this.userDecrypt(status.handle);
+
+            this.hideLoading();
+
+            const policy = this.agePolicies.find(p => p.id === status.policyId);
+            this.showMessage('policyResult',
+                `Decrypted result for ${policy ? policy.name : 'this policy'}: ${satisfied ? 'satisfied' : 'not satisfied'}. Only you can see this value.`,
+                satisfied ? 'success' : 'info');
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Decrypt policy result error:', error);
+            this.showMessage('policyResult', 'Error decrypting policy result: ' + this.formatError(error), 'error');
+        }
+    }
+
+    async loadGrantedConsumers() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            this.grantedConsumers = [...await this.contract.getGrantedConsumers(this.userAddress)];
+            this.updateConsumerList();
+
+        } catch (error) {
+            console.error('Error loading granted consumers:', error);
+        }
+    }
+
+    updateConsumerList() {
+        const list = document.getElementById('consumerList');
+
+        if (this.grantedConsumers.length === 0) {
+            list.innerHTML = '<p class="no-transactions">No contracts have access</p>';
+            return;
+        }
+
+        list.innerHTML = this.grantedConsumers.map(consumer => `
+            <div class="record-item">
+                <div>
+                    <div class="record-title">${this.formatAddress(consumer)}</div>
+                    <div class="record-meta">${consumer}</div>
+                </div>
+                <button class="btn btn-outline btn-small" data-revoke-consumer="${consumer}">Revoke</button>
+            </div>
+        `).join('');
+    }
+
+    async grantConsumerAccess() {
+        const consumer = document.getElementById('consumerAddress').value.trim();
+
+        if (!this.isValidAddress(consumer)) {
+            this.showToast('Please enter a valid contract address', 'error');
+            return;
+        }
+
+        if (!window.confirm(`Allow contract ${consumer} to use your encrypted adult flag? Only grant access to contracts you trust: a granted contract can have the flag decrypted and learn whether you are 18+.`)) {
+            return;
+        }
+
+        const done = await this.runConsumerTransaction('grantConsumerAccess', consumer, 'Grant Contract Access',
+            'Granting contract access...', `Access granted to ${this.formatAddress(consumer)}.`);
+
+        if (done) {
+            document.getElementById('consumerAddress').value = '';
+            this.validateConsumerInput();
+        }
+    }
+
+    async revokeConsumerAccess(consumer) {
+        if (!window.confirm(`Revoke the access of contract ${consumer}?`)) return;
+
+        await this.runConsumerTransaction('revokeConsumerAccess', consumer, 'Revoke Contract Access',
+            'Revoking contract access...', `Access of ${this.formatAddress(consumer)} revoked.`);
+    }
+
+    async runConsumerTransaction(method, consumer, label, loading, success) {
+        try {
+            this.showLoading(loading);
+
+            const tx = await this.sendTransaction(method, [consumer]);
+            this.addTransaction(tx.hash, label, 'pending');
+
+            await this.waitForTransaction(tx);
+
+            this.hideLoading();
+
+            this.showMessage('consumerAccessStatus', success, 'success');
+            await this.loadGrantedConsumers();
+            return true;
+
+        } catch (error) {
+            this.hideLoading();
+            console.error(`${label} error:`, error);
+            this.showMessage('consumerAccessStatus', `Error (${label}): ` + this.formatError(error), 'error');
+            return false;
+        }
+    }
+
+    async verifyAgeRange() {
+        try {
+            const minAge = parseInt(document.getElementById('minAge').value);
+            const maxAge = parseInt(document.getElementById('maxAge').value);
+
+            if (!minAge || !maxAge || minAge < 1 || maxAge > 120 || minAge > maxAge) {
+                this.showToast('Please enter valid age range (1-120, min ≤ max)', 'error');
+                return;
+            }
+
+            if (!this.contract) {
+                this.showToast('Please connect your wallet first', 'error');
+                return;
+            }
+
+            this.showLoading('Verifying age range...');
+
+            const tx = await this.sendTransaction('verifyAgeRange', [minAge, maxAge]);
+            this.addTransaction(tx.hash, 'Age Range Proof', 'pending');
+
+            const receipt = await this.waitForTransaction(tx);
+
+            this.hideLoading();
+
+            this.showMessage('advancedResult',
+                `Age range proof ${minAge}-${maxAge} stored on-chain (tx ${this.formatAddress(receipt.hash)}). Use "Decrypt" in your range proofs list to see the result privately.`,
+                'success');
+
+            await this.loadRangeProofs();
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Verify age range error:', error);
+            this.showMessage('advancedResult', 'Error verifying age range: ' + this.formatError(error), 'error');
+        }
+    }
+
+    async requestAgeComparison() {
+        try {
+            const otherAddress = document.getElementById('compareAddress').value.trim();
+
+            if (!this.isValidAddress(otherAddress)) {
+                this.showToast('Please enter a valid Ethereum address', 'error');
+                return;
+            }
+
+            if (!this.contract) {
+                this.showToast('Please connect your wallet first', 'error');
+                return;
+            }
+
+            this.showLoading('Sending comparison request...');
+
+            const tx = await this.sendTransaction('requestAgeComparison', [otherAddress]);
+            this.addTransaction(tx.hash, 'Comparison Request', 'pending');
+
+            await this.waitForTransaction(tx);
+
+            this.hideLoading();
+
+            this.showMessage('advancedResult',
+                `Comparison request sent to ${this.formatAddress(otherAddress)}. You can run the comparison once they approve it.`,
+                'success');
+
+            document.getElementById('compareAddress').value = '';
+            await this.loadComparisonRequests();
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Request comparison error:', error);
+            this.showMessage('advancedResult', 'Error requesting comparison: ' + this.formatError(error), 'error');
+        }
+    }
+
+    async handleComparisonRequestAction(action, requestId) {
+        const actions = {
+            approve: { method: 'approveComparisonRequest', label: 'Approve Comparison', loading: 'Approving comparison request...' },
+            reject: { method: 'rejectComparisonRequest', label: 'Reject Comparison', loading: 'Rejecting comparison request...' },
+            run: { method: 'compareAges', label: 'Age Comparison', loading: 'Comparing ages...' }
+        };
+        const config = actions[action];
+        if (!config || !this.contract) return;
+
+        try {
+            this.showLoading(config.loading);
+
+            const tx = await this.sendTransaction(config.method, [requestId]);
+            this.addTransaction(tx.hash, config.label, 'pending');
+
+            await this.waitForTransaction(tx);
+
+            this.hideLoading();
+
+            if (action === 'run') {
+                this.showMessage('advancedResult',
+                    'Age comparison stored on-chain. Both of you can decrypt the result from the comparisons list.',
+                    'success');
+            }
+
+            await Promise.all([
+                this.loadComparisonRequests(),
+                this.loadComparisons()
+            ]);
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Comparison request action error:', error);
+            this.showMessage('advancedResult', 'Error updating comparison request: ' + this.formatError(error), 'error');
+        }
+    }
+
+    async loadComparisonRequests() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const [sentIds, receivedIds] = await Promise.all([
+                this.contract.getSentComparisonRequests(this.userAddress),
+                this.contract.getReceivedComparisonRequests(this.userAddress)
+            ]);
+
+            const loadRequest = async (id) => {
+                const [requester, target, createdAt, expiresAt, status] = await this.contract.comparisonRequests(id);
+                return {
+                    id: Number(id),
+                    requester,
+                    target,
+                    createdAt: Number(createdAt),
+                    expiresAt: Number(expiresAt),
+                    status: Number(status)
+                };
+            };
+
+            const [sent, received] = await Promise.all([
+                Promise.all([...sentIds].reverse().map(loadRequest)),
+                Promise.all([...receivedIds].reverse().map(loadRequest))
+            ]);
+
+            this.comparisonRequests = { sent, received };
+            this.updateComparisonRequestLists();
+
+        } catch (error) {
+            console.error('Error loading comparison requests:', error);
+        }
+    }
+
+    getComparisonRequestState(request) {
+        // Mirrors ComparisonRequestStatus in the contract; the enum has no expired value, so derive it from expiresAt
+        const states = ['none', 'pending', 'approved', 'rejected', 'executed'];
+        const state = states[request.status] || 'none';
+        const expired = request.expiresAt < Math.floor(Date.now() / 1000);
+
+        return (state === 'pending' || state === 'approved') && expired ? 'expired' : state;
+    }
+
+    updateComparisonRequestLists() {
+        const render = (listId, requests, sent) => {
+            const list = document.getElementById(listId);
+
+            if (requests.length === 0) {
+                list.innerHTML = `<p class="no-transactions">No ${sent ? 'sent' : 'received'} requests</p>`;
+                return;
+            }
+
+            list.innerHTML = requests.map(request => {
+                const state = this.getComparisonRequestState(request);
+                let action = `<span class="record-result no">${state.charAt(0).toUpperCase() + state.slice(1)}</span>`;
+
+                const disabled = this.contractPaused ? 'disabled' : '';
+
+                if (!sent && state === 'pending') {
+                    action = `
+                        <div class="record-actions">
+                            <button class="btn btn-outline btn-small" data-request-action="approve" data-request-id="${request.id}" ${disabled}>Approve</button>
+                            <button class="btn btn-outline btn-small" data-request-action="reject" data-request-id="${request.id}" ${disabled}>Reject</button>
+                        </div>
+                    `;
+                } else if (sent && state === 'approved') {
+                    action = `<button class="btn btn-primary btn-small" data-request-action="run" data-request-id="${request.id}" ${disabled}>Run Comparison</button>`;
+                }
+
+                return `
+                    <div class="record-item">
+                        <div>
+                            <div class="record-title">#${request.id} • ${sent ? 'To' : 'From'} ${this.formatAddress(sent ? request.target : request.requester)}</div>
+                            <div class="record-meta">Expires ${new Date(request.expiresAt * 1000).toLocaleString()}</div>
+                        </div>
+                        ${action}
+                    </div>
+                `;
+            }).join('');
+        };
+
+        render('receivedRequestList', this.comparisonRequests.received, false);
+        render('sentRequestList', this.comparisonRequests.sent, true);
+    }
+
+    async loadRangeProofs() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const count = Number(await this.contract.getRangeProofCount(this.userAddress));
+            const ids = Array.from({ length: count }, (_, i) => count - 1 - i);
+
+            this.rangeProofs = await Promise.all(ids.map(async (id) => {
+                const [minAge, maxAge, result, timestamp] = await this.contract.getRangeProof(this.userAddress, id);
+                return { id, minAge: Number(minAge), maxAge: Number(maxAge), handle: result, timestamp: Number(timestamp) };
+            }));
+
+            this.updateRangeProofList();
+
+        } catch (error) {
+            console.error('Error loading range proofs:', error);
+        }
+    }
+
+    async loadComparisons() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const [outgoingIds, incomingIds] = await Promise.all([
+                this.contract.getOutgoingComparisons(this.userAddress),
+                this.contract.getIncomingComparisons(this.userAddress)
+            ]);
+
+            const loadComparison = async (id) => {
+                const [requester, otherUser, requesterIsOlder, timestamp] = await this.contract.getComparison(id);
+                return { id: Number(id), requester, otherUser, handle: requesterIsOlder, timestamp: Number(timestamp) };
+            };
+
+            const [outgoing, incoming] = await Promise.all([
+                Promise.all([...outgoingIds].reverse().map(loadComparison)),
+                Promise.all([...incomingIds].reverse().map(loadComparison))
+            ]);
+
+            this.comparisons = { outgoing, incoming };
+            this.updateComparisonLists();
+
+        } catch (error) {
+            console.error('Error loading comparisons:', error);
+        }
+    }
+
+    async decryptRecord(handle) {
+        try {
+            this.showLoading('Please sign the decryption request in your wallet...');
+
+            this.decryptedValues[handle] = await this.userDecrypt(handle);
+
+            this.hideLoading();
+            this.updateRangeProofList();
+            this.updateComparisonLists();
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Decrypt record error:', error);
+            this.showMessage('advancedResult', 'Error decrypting result: ' + this.formatError(error), 'error');
+        }
+    }
+
+    renderDecryptAction(handle, yesText, noText) {
+        const decrypted = this.decryptedValues[handle];
+        if (decrypted === undefined) {
+            return `<button class="btn btn-outline btn-small" data-handle="${handle}">Decrypt</button>`;
+        }
+        return `<span class="record-result ${decrypted ? 'yes' : 'no'}">${decrypted ? yesText : noText}</span>`;
+    }
+
+    updateRangeProofList() {
+        const list = document.getElementById('rangeProofList');
+
+        if (this.rangeProofs.length === 0) {
+            list.innerHTML = '<p class="no-transactions">No range proofs yet</p>';
+            return;
+        }
+
+        list.innerHTML = this.rangeProofs.map(proof => `
+            <div class="record-item">
+                <div>
+                    <div class="record-title">#${proof.id} • Age ${proof.minAge}-${proof.maxAge}</div>
+                    <div class="record-meta">${new Date(proof.timestamp * 1000).toLocaleString()}</div>
+                </div>
+                ${this.renderDecryptAction(proof.handle, 'In range', 'Out of range')}
+            </div>
+        `).join('');
+    }
+
+    updateComparisonLists() {
+        const render = (listId, comparisons, outgoing) => {
+            const list = document.getElementById(listId);
+
+            if (comparisons.length === 0) {
+                list.innerHTML = `<p class="no-transactions">No ${outgoing ? 'outgoing' : 'incoming'} comparisons</p>`;
+                return;
+            }
+
+            // The stored flag is always "requester is older", so phrase it from the viewer's side
+            list.innerHTML = comparisons.map(comparison => `
+                <div class="record-item">
+                    <div>
+                        <div class="record-title">#${comparison.id} • ${outgoing ? 'With' : 'From'} ${this.formatAddress(outgoing ? comparison.otherUser : comparison.requester)}</div>
+                        <div class="record-meta">${new Date(comparison.timestamp * 1000).toLocaleString()}</div>
+                    </div>
+                    ${outgoing
+                        ? this.renderDecryptAction(comparison.handle, 'You are older', 'You are not older')
+                        : this.renderDecryptAction(comparison.handle, 'They are older', 'They are not older')}
+                </div>
+            `).join('');
+        };
+
+        render('outgoingComparisonList', this.comparisons.outgoing, true);
+        render('incomingComparisonList', this.comparisons.incoming, false);
+    }
+
+    async refreshStats() {
+        try {
+            const contract = this.getReadContract();
+            if (!contract) return;
+
+            const [totalUsers, completedVerifications, pendingCount] = await contract.getVerificationStats();
+
+            document.getElementById('totalUsers').textContent = totalUsers.toString();
+            document.getElementById('completedVerifications').textContent = completedVerifications.toString();
+            document.getElementById('pendingVerifications').textContent = pendingCount.toString();
+
+        } catch (error) {
+            console.error('Error refreshing stats:', error);
+            // Set default values instead of showing errors
+            document.getElementById('totalUsers').textContent = '0';
+            document.getElementById('completedVerifications').textContent = '0';
+            document.getElementById('pendingVerifications').textContent = '0';
+        }
+    }
+
+    async lookupAddress() {
+        const address = document.getElementById('lookupAddress').value.trim();
+
+        if (!this.isValidAddress(address)) {
+            this.showToast('Please enter a valid Ethereum address', 'error');
+            return;
+        }
+
+        const contract = this.getReadContract();
+        if (!contract) {
+            this.showToast('No RPC available for this network. Please connect your wallet.', 'error');
+            return;
+        }
+
+        try {
+            this.setButtonLoading('lookupBtn', true);
+
+            const [status, [expiresAt, revoked, revocationReason]] = await Promise.all([
+                this.core.getStatus(address),
+                contract.getVerificationValidity(address)
+            ]);
+
+            const resultText = {
+                passed: 'Verified adult (18+)',
+                failed: 'Verified minor (under 18)',
+                'not-verified': status.hasSubmitted ? 'No valid public result' : 'Not submitted'
+            };
+
+            document.getElementById('lookupSubmitted').textContent = status.hasSubmitted ? 'Yes' : 'No';
+            document.getElementById('lookupResult').textContent = resultText[status.state];
+            document.getElementById('lookupSubmissionTime').textContent = status.submittedAt > 0
+                ? new Date(status.submittedAt * 1000).toLocaleString()
+                : '-';
+            // isUserAdult hides expired results, so a set expiry still means the record was completed once
+            const wasCompleted = status.completed || Number(expiresAt) > 0;
+            document.getElementById('lookupExpiry').textContent = this.getExpiryText(wasCompleted, Number(expiresAt));
+            document.getElementById('lookupRevocation').textContent = revoked
+                ? `Revoked (${this.revocationReasons[Number(revocationReason)] || 'Unknown'})`
+                : 'Not revoked';
+            document.getElementById('lookupDetails').style.display = 'grid';
+
+        } catch (error) {
+            console.error('Address lookup error:', error);
+            this.showToast('Error looking up address: ' + this.formatError(error), 'error');
+        }
+
+        this.setButtonLoading('lookupBtn', false);
+    }
+
+    async loadUserStatus() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const [[hasSubmitted, completed, timestamp], pending, [expiresAt, revoked, revocationReason]] = await Promise.all([
+                this.contract.getUserVerificationStatus(this.userAddress),
+                this.contract.decryptionPending(this.userAddress),
+                this.contract.getVerificationValidity(this.userAddress)
+            ]);
+
+            if (this.resubmissionCooldown === null) {
+                this.resubmissionCooldown = Number(await this.contract.RESUBMISSION_COOLDOWN());
+            }
+            this.userRecord = { hasSubmitted, pending, timestamp: Number(timestamp) };
+            this.updateRecordButtons();
+
+            document.getElementById('hasSubmittedAge').textContent = hasSubmitted ? 'Yes' : 'No';
+            document.getElementById('verificationCompleted').textContent = completed ? 'Yes' : 'No';
+            document.getElementById('decryptionStatus').textContent = this.getDecryptionStatusText(hasSubmitted, completed, pending);
+            document.getElementById('submissionTime').textContent = timestamp > 0
+                ? new Date(Number(timestamp) * 1000).toLocaleString()
+                : '-';
+            document.getElementById('verificationExpiry').textContent = this.getExpiryText(completed, Number(expiresAt));
+            document.getElementById('revocationStatus').textContent = revoked
+                ? `Revoked (${this.revocationReasons[Number(revocationReason)] || 'Unknown'})`
+                : 'Not revoked';
+
+            document.getElementById('userStatusCard').style.display = 'block';
+
+            this.scheduleDecryptionPoll(pending);
+
+        } catch (error) {
+            console.error('Error loading user status:', error);
+            // Set default values
+            document.getElementById('hasSubmittedAge').textContent = 'No';
+            document.getElementById('verificationCompleted').textContent = 'No';
+            document.getElementById('decryptionStatus').textContent = '-';
+            document.getElementById('submissionTime').textContent = '-';
+            document.getElementById('verificationExpiry').textContent = '-';
+            document.getElementById('revocationStatus').textContent = '-';
+            document.getElementById('userStatusCard').style.display = 'block';
+
+            this.userRecord = null;
+            this.updateRecordButtons();
+        }
+    }
+
+    getExpiryText(completed, expiresAt) {
+        if (!completed) return '-';
+        if (expiresAt === 0) return 'Never';
+
+        const expiry = new Date(expiresAt * 1000).toLocaleString();
+        return expiresAt * 1000 <= Date.now() ? `Expired (${expiry})` : expiry;
+    }
+
+    getDecryptionStatusText(hasSubmitted, completed, pending) {
+        if (pending) return 'Decryption pending...';
+        if (completed) return 'Completed';
+        if (hasSubmitted) return 'Awaiting verifier request';
+        return '-';
+    }
+
+    scheduleDecryptionPoll(pending) {
+        clearTimeout(this.decryptionPollTimer);
+        this.decryptionPollTimer = null;
+
+        // The oracle callback lands in a later block, so keep polling until it has been written
+        if (pending) {
+            this.decryptionPollTimer = setTimeout(async () => {
+                await this.loadUserStatus();
+                await this.refreshStats();
+            }, 15000);
+        }
+    }
+
+    async loadUserRole() {
+        try {
+            if (!this.contract || !this.userAddress) return;
+
+            const [owner, isVerifier] = await Promise.all([
+                this.contract.owner(),
+                this.contract.isAuthorizedVerifier(this.userAddress)
+            ]);
+
+            const isOwner = owner.toLowerCase() === this.userAddress.toLowerCase();
+            this.userRole = { isOwner, isVerifier: isVerifier || isOwner };
+
+            await this.updateAdminSection();
+
+        } catch (error) {
+            console.error('Error loading user role:', error);
+            this.userRole = { isOwner: false, isVerifier: false };
+            await this.updateAdminSection();
+        }
+    }
+
+    async updateAdminSection() {
+        const { isOwner, isVerifier } = this.userRole;
+
+        document.getElementById('adminCard').style.display = isVerifier ? 'block' : 'none';
+        document.getElementById('ownerControls').style.display = isOwner ? 'grid' : 'none';
+        document.getElementById('verifierControls').style.display = isVerifier ? 'grid' : 'none';
+
+        if (!isVerifier) {
+            this.stopPendingQueueWatch();
+            return;
+        }
+
+        await this.loadPendingQueue();
+        this.startPendingQueueWatch();
+
+        document.getElementById('adminRole').textContent = isOwner ? 'Owner' : 'Authorized Verifier';
+        this.updatePauseControls();
+
+        const validityPeriod = Number(await this.contract.verificationValidityPeriod());
+        document.getElementById('currentValidityPeriod').textContent = validityPeriod === 0
+            ? 'Never expires'
+            : `${validityPeriod / 86400} days`;
+    }
+
+    async loadPauseState() {
+        try {
+            const contract = this.getReadContract();
+            if (!contract) return;
+
+            this.contractPaused = await contract.emergencyPaused();
+
+        } catch (error) {
+            console.error('Error loading pause state:', error);
+        }
+
+        this.applyPauseState();
+    }
+
+    applyPauseState() {
+        document.getElementById('pauseBanner').style.display = this.contractPaused ? 'block' : 'none';
+
+        this.updateUI();
+        this.updatePauseControls();
+        this.updateComparisonRequestLists();
+        this.updatePendingQueueList();
+        this.updatePolicyButtons();
+    }
+
+    updatePauseControls() {
+        document.getElementById('pauseStatus').textContent = this.contractPaused ? 'Paused' : 'Active';
+        document.getElementById('pauseBtn').disabled = this.contractPaused;
+        document.getElementById('unpauseBtn').disabled = !this.contractPaused;
+        document.getElementById('completeUserBtn').disabled = this.contractPaused;
+    }
+
+    getAdminAddressInput(inputId) {
+        const address = document.getElementById(inputId).value.trim();
+
+        if (!this.isValidAddress(address)) {
+            this.showToast('Please enter a valid Ethereum address', 'error');
+            return null;
+        }
+
+        return address;
+    }
+
+    async runAdminAction({ confirmMessage, method, args = [], label, loading, success }) {
+        if (!this.contract) {
+            this.showToast('Please connect your wallet first', 'error');
+            return false;
+        }
+
+        if (confirmMessage && !window.confirm(confirmMessage)) return false;
+
+        try {
+            this.showLoading(loading);
+
+            const tx = await this.sendTransaction(method, args);
+            this.addTransaction(tx.hash, label, 'pending');
+
+            await this.waitForTransaction(tx);
+
+            this.hideLoading();
+
+            this.showMessage('adminResult', success, 'success');
+            await this.loadPauseState();
+            await this.loadUserRole();
+            return true;
+
+        } catch (error) {
+            this.hideLoading();
+            console.error(`${label} error:`, error);
+            this.showMessage('adminResult', `Error (${label}): ` + this.formatError(error), 'error');
+            return false;
+        }
+    }
+
+    async manageVerifier(add) {
+        const address = this.getAdminAddressInput('verifierAddress');
+        if (!address) return;
+
+        const done = await this.runAdminAction({
+            confirmMessage: `${add ? 'Add' : 'Remove'} ${address} ${add ? 'as' : 'from'} authorized verifier?`,
+            method: add ? 'addAuthorizedVerifier' : 'removeAuthorizedVerifier',
+            args: [address],
+            label: add ? 'Add Verifier' : 'Remove Verifier',
+            loading: add ? 'Adding verifier...' : 'Removing verifier...',
+            success: `Verifier ${this.formatAddress(address)} ${add ? 'added' : 'removed'}.`
+        });
+
+        if (done) document.getElementById('verifierAddress').value = '';
+    }
+
+    async resetUser() {
+        const address = this.getAdminAddressInput('resetAddress');
+        if (!address) return;
+
+        const done = await this.runAdminAction({
+            confirmMessage: `Reset the verification record of ${address}? This cannot be undone.`,
+            method: 'resetUserVerification',
+            args: [address],
+            label: 'Reset User',
+            loading: 'Resetting user verification...',
+            success: `Verification record of ${this.formatAddress(address)} reset.`
+        });
+
+        if (done) {
+            document.getElementById('resetAddress').value = '';
+            await this.refreshStats();
+        }
+    }
+
+    async setPaused(paused) {
+        await this.runAdminAction({
+            confirmMessage: paused
+                ? 'Pause the contract? Users will not be able to submit or verify until it is unpaused.'
+                : 'Unpause the contract?',
+            method: paused ? 'emergencyPause' : 'emergencyUnpause',
+            label: paused ? 'Emergency Pause' : 'Emergency Unpause',
+            loading: paused ? 'Pausing contract...' : 'Unpausing contract...',
+            success: paused ? 'Contract paused.' : 'Contract unpaused.'
+        });
+    }
+
+    async createAgePolicy() {
+        const name = document.getElementById('policyName').value.trim();
+        const minAge = parseInt(document.getElementById('policyMinAge').value);
+        const maxValue = document.getElementById('policyMaxAge').value;
+        const maxAge = maxValue === '' ? 0 : parseInt(maxValue);
+
+        if (!name || !minAge || minAge < 1 || minAge > 120 || maxAge < 0 || maxAge > 120 || (maxAge !== 0 && maxAge < minAge)) {
+            this.showToast('Please enter a policy name and a valid age range (1-120, max optional)', 'error');
+            return;
+        }
+
+        const policy = { minAge, maxAge };
+        const done = await this.runAdminAction({
+            confirmMessage: `Create age policy "${name}" (${this.formatPolicyRange(policy)})?`,
+            method: 'createAgePolicy',
+            args: [name, minAge, maxAge],
+            label: 'Create Age Policy',
+            loading: 'Creating age policy...',
+            success: `Age policy "${name}" created.`
+        });
+
+        if (done) {
+            ['policyName', 'policyMinAge', 'policyMaxAge'].forEach(inputId => {
+                document.getElementById(inputId).value = '';
+            });
+            await this.loadPolicies();
+        }
+    }
+
+    async revokeVerification() {
+        const address = this.getAdminAddressInput('revokeAddress');
+        if (!address) return;
+
+        const reason = Number(document.getElementById('revokeReason').value);
+
+        const done = await this.runAdminAction({
+            confirmMessage: `Revoke the verification of ${address} (reason: ${this.revocationReasons[reason]})?`,
+            method: 'revokeVerification',
+            args: [address, reason],
+            label: 'Revoke Verification',
+            loading: 'Revoking verification...',
+            success: `Verification of ${this.formatAddress(address)} revoked.`
+        });
+
+        if (done) document.getElementById('revokeAddress').value = '';
+    }
+
+    async setValidityPeriod() {
+        const days = parseInt(document.getElementById('validityDays').value);
+
+        if (isNaN(days) || days < 0) {
+            this.showToast('Please enter a validity period in days (0 = never expires)', 'error');
+            return;
+        }
+
+        const done = await this.runAdminAction({
+            confirmMessage: days === 0
+                ? 'Make newly completed verifications never expire?'
+                : `Set the validity period of newly completed verifications to ${days} days?`,
+            method: 'setVerificationValidityPeriod',
+            args: [days * 86400],
+            label: 'Set Validity Period',
+            loading: 'Updating validity period...',
+            success: days === 0 ? 'New verifications will not expire.' : `New verifications will be valid for ${days} days.`
+        });
+
+        if (done) document.getElementById('validityDays').value = '';
+    }
+
+    async issueAttestation() {
+        const address = this.getAdminAddressInput('attestationAddress');
+        if (!address) return;
+
+        const policyId = Number(document.getElementById('attestationPolicySelect').value);
+        const days = parseInt(document.getElementById('attestationDays').value);
+        const policy = this.agePolicies.find(entry => entry.id === policyId);
+
+        if (!policy || isNaN(days) || days < 1 || days > 365) {
+            this.showToast('Please choose a policy and a validity of 1-365 days', 'error');
+            return;
+        }
+
+        try {
+            const [completed, satisfied] = await this.contract.isUserEligible(address, policyId);
+            if (!completed || !satisfied) {
+                this.showMessage('adminResult', `${this.formatAddress(address)} has no published result satisfying "${policy.name}".`, 'error');
+                return;
+            }
+
+            if (!window.confirm(`Sign an attestation that ${address} satisfies "${policy.name}" for ${days} days?`)) return;
+
+            // The contract requires issuedAt <= block.timestamp, and the local clock usually runs ahead of the chain
+            const { timestamp: issuedAt } = await this.provider.getBlock('latest');
+            const expiresAt = issuedAt + days * 86400;
+            const { domain, types, message } = this.buildAttestation(address, policyId, issuedAt, expiresAt);
+
+            this.showLoading('Please sign the attestation in your wallet...');
+            const signature = await this.signer.signTypedData(domain, types, message);
+            this.hideLoading();
+
+            const done = await this.runAdminAction({
+                method: 'issueAttestation',
+                args: [address, policyId, issuedAt, expiresAt, signature],
+                label: 'Issue Attestation',
+                loading: 'Publishing attestation...',
+                success: `Attestation for ${this.formatAddress(address)} (${policy.name}) issued. The user can download it from the Age Policies card.`
+            });
+
+            if (done) document.getElementById('attestationAddress').value = '';
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Issue attestation error:', error);
+            this.showMessage('adminResult', 'Error issuing attestation: ' + this.formatError(error), 'error');
+        }
+    }
+
+    async completeUserVerification(queueAddress) {
+        const address = queueAddress || this.getAdminAddressInput('completeAddress');
+        if (!address) return;
+
+        const done = await this.runAdminAction({
+            confirmMessage: `Request oracle decryption to complete the verification of ${address}?`,
+            method: 'completeVerificationForUser',
+            args: [address],
+            label: 'Complete Verification',
+            loading: 'Requesting verification completion...',
+            success: `Decryption requested for ${this.formatAddress(address)}. The result is written when the oracle responds.`
+        });
+
+        if (done && !queueAddress) document.getElementById('completeAddress').value = '';
+    }
+
+    async completeSelectedVerifications() {
+        const users = [...this.selectedPending];
+        if (users.length === 0) return;
+
+        const done = await this.runAdminAction({
+            confirmMessage: `Request oracle decryption to complete ${users.length} verification(s)?`,
+            method: 'completeVerificationsForUsers',
+            args: [users],
+            label: 'Batch Complete Verifications',
+            loading: `Requesting completion for ${users.length} user(s)...`,
+            success: `Decryption requested for ${users.length} user(s).`
+        });
+
+        if (done) {
+            this.selectedPending.clear();
+            await this.loadPendingQueue();
+        }
+    }
+
+    async loadPendingQueue() {
+        try {
+            if (!this.contract || !this.userRole.isVerifier) return;
+
+            const pageSize = 100;
+            const count = Number(await this.contract.getPendingVerificationCount());
+            const queue = [];
+
+            for (let start = 0; start < count; start += pageSize) {
+                const [users, timestamps] = await this.contract.getPendingVerifications(start, pageSize);
+                users.forEach((user, i) => queue.push({ user, timestamp: Number(timestamps[i]) }));
+            }
+
+            const pendingFlags = await Promise.all(queue.map(entry => this.contract.decryptionPending(entry.user)));
+            queue.forEach((entry, i) => { entry.decryptionPending = pendingFlags[i]; });
+
+            // Oldest submissions first, so the queue is worked in arrival order
+            this.pendingQueue = queue.sort((a, b) => a.timestamp - b.timestamp);
+
+            const queued = new Set(queue.filter(entry => !entry.decryptionPending).map(entry => entry.user));
+            this.selectedPending = new Set([...this.selectedPending].filter(user => queued.has(user)));
+
+            this.updatePendingQueueList();
+
+        } catch (error) {
+            console.error('Error loading pending queue:', error);
+        }
+    }
+
+    updatePendingQueueList() {
+        const list = document.getElementById('pendingQueueList');
+
+        if (this.pendingQueue.length === 0) {
+            list.innerHTML = '<p class="no-transactions">No users waiting for verification</p>';
+            this.updateQueueSelection();
+            return;
+        }
+
+        list.innerHTML = this.pendingQueue.map(entry => `
+            <div class="record-item">
+                <label class="record-select">
+                    <input type="checkbox" data-pending-address="${entry.user}"
+                        ${this.selectedPending.has(entry.user) ? 'checked' : ''}
+                        ${entry.decryptionPending ? 'disabled' : ''}>
+                    <div>
+                        <div class="record-title">${this.formatAddress(entry.user)}</div>
+                        <div class="record-meta">Submitted ${new Date(entry.timestamp * 1000).toLocaleString()}</div>
+                    </div>
+                </label>
+                ${entry.decryptionPending
+                    ? '<span class="record-result no">Decryption requested</span>'
+                    : `<button class="btn btn-outline btn-small" data-complete-address="${entry.user}" ${this.contractPaused ? 'disabled' : ''}>Complete</button>`}
+            </div>
+        `).join('');
+
+        this.updateQueueSelection();
+    }
+
+    updateQueueSelection() {
+        const button = document.getElementById('completeSelectedBtn');
+        button.disabled = this.selectedPending.size === 0 || this.contractPaused;
+        button.textContent = `Complete Selected (${this.selectedPending.size})`;
+    }
+
+    async loadVerificationHistory() {
+        try {
+            if (!this.contract || !this.userRole.isVerifier) return;
+
+            this.showLoading('Loading verification history...');
+
+            const pageSize = 100;
+            const count = Number(await this.contract.getVerificationHistoryCount());
+            const history = [];
+
+            for (let start = 0; start < count; start += pageSize) {
+                const page = await this.contract.getVerificationHistory(start, pageSize);
+                page.forEach((entry, i) => history.push({
+                    index: start + i,
+                    user: entry.user,
+                    isAdult: entry.isAdult,
+                    timestamp: Number(entry.timestamp),
+                    success: entry.success
+                }));
+            }
+
+            this.verificationHistory = history.reverse();
+            this.historyPage = 0;
+
+            this.hideLoading();
+            this.renderHistoryPage();
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Error loading verification history:', error);
+            this.showMessage('adminResult', 'Error loading verification history: ' + this.formatError(error), 'error');
+        }
+    }
+
+    getFilteredHistory() {
+        const address = document.getElementById('historyAddressFilter').value.trim().toLowerCase();
+        const result = document.getElementById('historyResultFilter').value;
+        const fromDate = document.getElementById('historyFromDate').value;
+        const toDate = document.getElementById('historyToDate').value;
+
+        // Date inputs are local calendar days; the "to" bound includes the whole day
+        const from = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() / 1000 : null;
+        const to = toDate ? new Date(`${toDate}T23:59:59`).getTime() / 1000 : null;
+
+        return this.verificationHistory.filter(entry =>
+            (!address || entry.user.toLowerCase().includes(address)) &&
+            (result === 'all' || (result === 'adult') === entry.isAdult) &&
+            (from === null || entry.timestamp >= from) &&
+            (to === null || entry.timestamp <= to)
+        );
+    }
+
+    changeHistoryPage(delta) {
+        this.historyPage += delta;
+        this.renderHistoryPage();
+    }
+
+    renderHistoryPage() {
+        const rows = this.getFilteredHistory();
+        const pageCount = Math.max(1, Math.ceil(rows.length / this.historyPageSize));
+        this.historyPage = Math.min(Math.max(this.historyPage, 0), pageCount - 1);
+
+        const start = this.historyPage * this.historyPageSize;
+        const pageRows = rows.slice(start, start + this.historyPageSize);
+        const body = document.getElementById('historyTableBody');
+
+        body.innerHTML = pageRows.length === 0
+            ? '<tr><td colspan="4" class="no-transactions">No matching verifications</td></tr>'
+            : pageRows.map(entry => `
+                <tr>
+                    <td>${entry.index}</td>
+                    <td class="address" title="${entry.user}">${this.formatAddress(entry.user)}</td>
+                    <td><span class="record-result ${entry.isAdult ? 'yes' : 'no'}">${entry.isAdult ? 'Adult' : 'Minor'}</span></td>
+                    <td>${new Date(entry.timestamp * 1000).toLocaleString()}</td>
+                </tr>
+            `).join('');
+
+        document.getElementById('historyPageInfo').textContent =
+            `Page ${this.historyPage + 1} of ${pageCount} • ${rows.length} of ${this.verificationHistory.length} entries`;
+        document.getElementById('historyPrevBtn').disabled = this.historyPage === 0;
+        document.getElementById('historyNextBtn').disabled = this.historyPage >= pageCount - 1;
+        document.getElementById('exportCsvBtn').disabled = rows.length === 0;
+        document.getElementById('exportJsonBtn').disabled = rows.length === 0;
+    }
+
+    exportHistory(format) {
+        const rows = this.getFilteredHistory().map(entry => ({
+            index: entry.index,
+            user: entry.user,
+            isAdult: entry.isAdult,
+            timestamp: new Date(entry.timestamp * 1000).toISOString(),
+            success: entry.success
+        }));
+        if (rows.length === 0) return;
+
+        const content = format === 'csv'
+            ? [Object.keys(rows[0]).join(','), ...rows.map(row => Object.values(row).join(','))].join('\n')
+            : JSON.stringify(rows, null, 2);
+
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `verification-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    startPendingQueueWatch() {
+        this.stopPendingQueueWatch();
+
+        const contract = this.contract;
+        // Resubmission re-queues a user, deletion drops them, and revocation cancels a pending decryption
+        const events = [
+            'AgeSubmitted',
+            'AgeResubmitted',
+            'AgeVerificationRequested',
+            'VerificationCompleted',
+            'VerificationDeleted',
+            'VerificationRevoked'
+        ];
+        const refresh = () => this.loadPendingQueue();
+
+        events.forEach(name => contract.on(name, refresh));
+        this.stopQueueWatch = () => events.forEach(name => contract.off(name, refresh));
+    }
+
+    startLiveEvents() {
+        this.stopLiveEvents();
+
+        const contract = this.getReadContract();
+        if (!contract) return;
+
+        // Captured so late events from a previous account are never attributed to the new one
+        const account = this.userAddress;
+        const handlers = {
+            AgeSubmitted: (user, timestamp) => this.handleLiveEvent('AgeSubmitted', user, timestamp, account),
+            AgeVerificationRequested: (user, timestamp) => this.handleLiveEvent('AgeVerificationRequested', user, timestamp, account),
+            VerificationCompleted: (user, isAdult, timestamp) => this.handleLiveEvent('VerificationCompleted', user, timestamp, account, isAdult)
+        };
+
+        Object.entries(handlers).forEach(([name, handler]) => contract.on(name, handler));
+        this.stopLiveEventsHandler = () => Object.entries(handlers).forEach(([name, handler]) => contract.off(name, handler));
+    }
+
+    stopLiveEvents() {
+        clearTimeout(this.statsRefreshTimer);
+        this.statsRefreshTimer = null;
+
+        if (this.stopLiveEventsHandler) {
+            this.stopLiveEventsHandler();
+            this.stopLiveEventsHandler = null;
+        }
+    }
+
+    handleLiveEvent(name, user, timestamp, account, isAdult) {
+        const isOwn = !!account && user.toLowerCase() === account.toLowerCase();
+
+        this.activityFeed.unshift({ name, user, isOwn, isAdult, timestamp: Number(timestamp) });
+        this.activityFeed = this.activityFeed.slice(0, 20);
+        this.updateActivityFeed();
+
+        // Bursts of events (e.g. batch completion) collapse into one stats refresh
+        clearTimeout(this.statsRefreshTimer);
+        this.statsRefreshTimer = setTimeout(() => this.refreshStats(), 1000);
+
+        if (!isOwn) return;
+
+        this.loadUserStatus();
+
+        if (name === 'VerificationCompleted') {
+            this.notifyVerificationCompleted(isAdult);
+        }
+    }
+
+    notifyVerificationCompleted(isAdult) {
+        const message = `Your age verification is complete: ${isAdult ? 'verified adult (18+)' : 'verified minor (under 18)'}.`;
+
+        this.showToast(message, 'success');
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted' && document.hidden) {
+            new Notification('Private Age Verification', { body: message, icon: 'favicon.ico' });
+        }
+    }
+
+    async enableNotifications() {
+        if (typeof Notification === 'undefined') {
+            this.showToast('Browser notifications are not supported here', 'error');
+            return;
+        }
+
+        const permission = await Notification.requestPermission();
+        this.updateNotificationButton();
+
+        if (permission !== 'granted') {
+            this.showToast('Notifications were not allowed. You will still see in-page alerts.', 'info');
+        }
+    }
+
+    updateNotificationButton() {
+        const button = document.getElementById('enableNotificationsBtn');
+        const supported = typeof Notification !== 'undefined';
+
+        button.disabled = !supported || Notification.permission !== 'default';
+        button.textContent = supported && Notification.permission === 'granted'
+            ? 'Notifications Enabled'
+            : 'Enable Notifications';
+    }
+
+    updateActivityFeed() {
+        const list = document.getElementById('activityFeed');
+
+        if (this.activityFeed.length === 0) {
+            list.innerHTML = '<p class="no-transactions">Waiting for contract events...</p>';
+            return;
+        }
+
+        const labels = {
+            AgeSubmitted: 'Birth date submitted',
+            AgeVerificationRequested: 'Completion requested',
+            VerificationCompleted: 'Verification completed'
+        };
+
+        list.innerHTML = this.activityFeed.map(entry => `
+            <div class="record-item">
+                <div>
+                    <div class="record-title">${labels[entry.name]}${entry.isOwn ? ' • You' : ''}</div>
+                    <div class="record-meta">${this.formatAddress(entry.user)} • ${new Date(entry.timestamp * 1000).toLocaleString()}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    stopPendingQueueWatch() {
+        if (this.stopQueueWatch) {
+            this.stopQueueWatch();
+            this.stopQueueWatch = null;
+        }
+    }
+
+    getBirthDateInput(inputId) {
+        // <input type="month"> yields "YYYY-MM"; only the year and month are encrypted
+        const match = /^(\d{4})-(\d{2})$/.exec(document.getElementById(inputId).value);
+        if (!match) return null;
+
+        const birthMonth = Number(match[1]) * 12 + (Number(match[2]) - 1);
+        const now = new Date();
+        const age = Math.floor((now.getFullYear() * 12 + now.getMonth() - birthMonth) / 12);
+
+        return { birthMonth, age };
+    }
+
+    validateBirthDateInput() {
+        const birthDate = this.getBirthDateInput('birthDateInput');
+        const submitBtn = document.getElementById('submitAgeBtn');
+
+        if (birthDate && birthDate.age >= 1 && birthDate.age <= 120 && this.contract && !this.contractPaused) {
+            submitBtn.disabled = false;
+        } else {
+            submitBtn.disabled = true;
+        }
+    }
+
+    validateRangeInputs() {
+        const minAge = parseInt(document.getElementById('minAge').value);
+        const maxAge = parseInt(document.getElementById('maxAge').value);
+        const verifyBtn = document.getElementById('verifyRangeBtn');
+
+        if (minAge && maxAge && minAge >= 1 && maxAge <= 120 && minAge <= maxAge && this.contract && !this.contractPaused) {
+            verifyBtn.disabled = false;
+        } else {
+            verifyBtn.disabled = true;
+        }
+    }
+
+    validateAddressInput() {
+        const address = document.getElementById('compareAddress').value.trim();
+        const compareBtn = document.getElementById('compareAgeBtn');
+
+        if (this.isValidAddress(address) && this.contract && !this.contractPaused) {
+            compareBtn.disabled = false;
+        } else {
+            compareBtn.disabled = true;
+        }
+    }
+
+    validateConsumerInput() {
+        const address = document.getElementById('consumerAddress').value.trim();
+
+        document.getElementById('grantConsumerBtn').disabled =
+            !this.isValidAddress(address) || !this.contract || this.contractPaused;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    isValidAddress(address) {
+        return /^0x[a-fA-F0-9]{40}$/.test(address);
+    }
 
     formatAddress(address) {
         return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
@@ -544,11 +2344,10 @@ class PrivateAgeVerificationApp {
             connectBtn.disabled = true;
             networkInfo.style.display = 'block';
 
-            document.getElementById('networkName').textContent = 'Sepolia Testnet';
             document.getElementById('userAddress').textContent = this.formatAddress(this.userAddress);
         } else {
             statusIndicator.classList.remove('connected');
-            statusText.textContent = 'Not Connected';
+            statusText.textContent = this.readOnly ? 'Not Connected (read-only)' : 'Not Connected';
             connectBtn.textContent = 'Connect Wallet';
             connectBtn.disabled = false;
             networkInfo.style.display = 'none';
@@ -556,8 +2355,9 @@ class PrivateAgeVerificationApp {
 
         // Enable/disable buttons based on connection
         const buttons = [
-            'submitAgeBtn', 'getVerificationBtn', 'checkAdultStatusBtn',
-            'verifyRangeBtn', 'compareAgeBtn'
+            'submitAgeBtn', 'getVerificationBtn', 'checkAdultStatusBtn', 'refreshAdultBtn',
+            'verifyRangeBtn', 'compareAgeBtn',
+            'evaluatePolicyBtn', 'decryptPolicyBtn', 'publishPolicyBtn'
         ];
 
         buttons.forEach(buttonId => {
@@ -569,9 +2369,15 @@ class PrivateAgeVerificationApp {
 
         // Validate inputs if connected
         if (connected) {
-            this.validateAgeInput();
+            document.getElementById('getVerificationBtn').disabled = !this.contract;
+            document.getElementById('checkAdultStatusBtn').disabled = !this.contract;
+            document.getElementById('refreshAdultBtn').disabled = !this.contract || this.contractPaused;
+            this.updatePolicyButtons();
+            this.validateBirthDateInput();
             this.validateRangeInputs();
             this.validateAddressInput();
+            this.validateConsumerInput();
+            this.updateRecordButtons();
         }
     }
 
@@ -627,42 +2433,246 @@ class PrivateAgeVerificationApp {
         }, 5000);
     }
 
+    getTransactionStorageKey() {
+        return `pav-tx:${this.network.chainId}:${this.userAddress.toLowerCase()}`;
+    }
+
+    loadTransactionHistory() {
+        try {
+            this.transactions = JSON.parse(localStorage.getItem(this.getTransactionStorageKey())) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable transaction history:', error.message);
+            this.transactions = [];
+        }
+
+        this.trackedTransactions.clear();
+        this.transactions
+            .filter(tx => tx.status === 'pending' || tx.status === 'confirming')
+            .forEach(tx => this.resumeTransaction(tx.hash));
+
+        this.updateTransactionList();
+    }
+
+    saveTransactionHistory() {
+        if (!this.userAddress) return;
+
+        // Keep storage bounded; the newest entries are first
+        this.transactions = this.transactions.slice(0, 200);
+        localStorage.setItem(this.getTransactionStorageKey(), JSON.stringify(this.transactions));
+    }
+
+    // Picks up a hash left pending by a previous page load
+    async resumeTransaction(hash) {
+        try {
+            const tx = await this.provider.getTransaction(hash);
+
+            if (!tx) {
+                this.updateTransaction(hash, 'timeout', { detail: 'Dropped or replaced while the page was closed' });
+                return;
+            }
+
+            await this.followTransaction(tx);
+        } catch (error) {
+            console.error(`Error resuming transaction ${hash}:`, error);
+        }
+    }
+
+    // Callers await this instead of tx.wait(); it throws unless the transaction (or its sped-up replacement) succeeds
+    async waitForTransaction(tx) {
+        const result = await this.followTransaction(tx);
+        if (result.status !== 'success') {
+            throw new Error(result.message);
+        }
+        return result.receipt;
+    }
+
+    // Follows a transaction to a final state, recording each step on its history entry. Never throws.
+    async followTransaction(tx) {
+        if (this.trackedTransactions.has(tx.hash)) {
+            return { status: 'pending', message: 'Transaction is already being tracked' };
+        }
+        this.trackedTransactions.add(tx.hash);
+
+        const required = this.network.confirmations || 1;
+
+        try {
+            let receipt = await tx.wait(1, this.transactionTimeout);
+
+            for (let confirmations = 1; confirmations < required; confirmations++) {
+                this.updateTransaction(tx.hash, 'confirming', { confirmations, requiredConfirmations: required });
+                receipt = await tx.wait(confirmations + 1, this.transactionTimeout);
+            }
+
+            this.updateTransaction(tx.hash, 'success', { confirmations: required, requiredConfirmations: required });
+            return { status: 'success', receipt };
+
+        } catch (error) {
+            return this.settleFailedTransaction(tx, error);
+
+        } finally {
+            this.trackedTransactions.delete(tx.hash);
+        }
+    }
+
+    async settleFailedTransaction(tx, error) {
+        if (error.code === 'TRANSACTION_REPLACED') {
+            const replacement = error.replacement;
+
+            // Sped up in the wallet: the same call under a new hash, so keep following it
+            if (error.reason === 'repriced') {
+                const entry = this.transactions.find(t => t.hash === tx.hash);
+                this.updateTransaction(tx.hash, 'replaced', {
+                    detail: `Sped up as ${this.formatAddress(replacement.hash)}`,
+                    replacedBy: replacement.hash
+                });
+                this.addTransaction(replacement.hash, entry ? entry.description : 'Replacement', 'pending');
+                return this.followTransaction(replacement);
+            }
+
+            const cancelled = error.reason === 'cancelled';
+            this.updateTransaction(tx.hash, cancelled ? 'cancelled' : 'replaced', {
+                detail: cancelled
+                    ? 'Cancelled in wallet'
+                    : `Replaced by a different transaction ${this.formatAddress(replacement.hash)}`,
+                replacedBy: replacement.hash
+            });
+            return {
+                status: cancelled ? 'cancelled' : 'replaced',
+                message: cancelled
+                    ? 'Transaction was cancelled in your wallet'
+                    : 'Transaction was replaced by a different transaction in your wallet'
+            };
+        }
+
+        if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+            const reason = await this.getRevertReason(tx, error.receipt);
+            this.updateTransaction(tx.hash, 'failed', { detail: reason });
+            return { status: 'failed', message: `Transaction reverted: ${reason}` };
+        }
+
+        if (error.code === 'TIMEOUT') {
+            const minutes = Math.round(this.transactionTimeout / 60000);
+            this.updateTransaction(tx.hash, 'timeout', { detail: `Not confirmed within ${minutes} minutes` });
+            return {
+                status: 'timeout',
+                message: `Transaction was not confirmed within ${minutes} minutes. It may still be mined later.`
+            };
+        }
+
+        console.error(`Error waiting for transaction ${tx.hash}:`, error);
+        this.updateTransaction(tx.hash, 'failed', { detail: error.shortMessage || error.message });
+        return { status: 'failed', message: this.formatError(error) };
+    }
+
+    // Simulates the call first so predictable reverts are reported before the wallet asks for a signature
+    async sendTransaction(method, args = []) {
+        const contractMethod = this.contract.getFunction(method);
+
+        try {
+            await contractMethod.staticCall(...args);
+        } catch (error) {
+            // Only contract reverts stop here; wallet and network problems surface from the real send
+            if (error.code === 'CALL_EXCEPTION') {
+                error.simulated = true;
+                throw error;
+            }
+        }
+
+        return contractMethod(...args);
+    }
+
+    formatError(error) {
+        return PrivateAgeErrors.describeError(error, { account: this.userAddress });
+    }
+
+    // Mined reverts carry no reason, so the call is replayed on the state it ran against: the parent block
+    async getRevertReason(tx, receipt) {
+        try {
+            await this.provider.call({
+                to: tx.to,
+                from: tx.from,
+                data: tx.data,
+                value: tx.value,
+                blockTag: receipt.blockNumber - 1
+            });
+            return 'Reverted without a reason';
+        } catch (error) {
+            const decoded = PrivateAgeErrors.decodeError(error, { account: this.userAddress });
+            return decoded.name ? decoded.message : error.reason || 'Reverted without a reason';
+        }
+    }
+
     addTransaction(hash, description, status) {
         this.transactions.unshift({ hash, description, status, timestamp: Date.now() });
+        this.saveTransactionHistory();
         this.updateTransactionList();
     }
 
-    updateTransaction(hash, status) {
+    updateTransaction(hash, status, details = {}) {
         const tx = this.transactions.find(t => t.hash === hash);
         if (tx) {
-            tx.status = status;
+            Object.assign(tx, details, { status });
+            this.saveTransactionHistory();
             this.updateTransactionList();
         }
     }
 
+    getTransactionStatusText(tx) {
+        if (tx.status === 'confirming') return `${tx.confirmations}/${tx.requiredConfirmations} confirmations`;
+        if (tx.status === 'timeout') return 'timed out';
+        return tx.status;
+    }
+
     updateTransactionList() {
         const list = document.getElementById('transactionList');
+        const typeSelect = document.getElementById('txTypeFilter');
+        const statusFilter = document.getElementById('txStatusFilter').value;
+
+        // Operation types come from the stored history, so the filter only offers what exists
+        const selectedType = typeSelect.value;
+        const types = [...new Set(this.transactions.map(tx => tx.description))].sort();
+        typeSelect.innerHTML = '<option value="">All operations</option>' + types.map(type => `
+            <option value="${this.escapeHtml(type)}">${this.escapeHtml(type)}</option>
+        `).join('');
+        typeSelect.value = types.includes(selectedType) ? selectedType : '';
+
+        const filtered = this.transactions.filter(tx =>
+            (!typeSelect.value || tx.description === typeSelect.value) &&
+            (!statusFilter || tx.status === statusFilter)
+        );
+        const visible = this.showAllTransactions ? filtered : filtered.slice(0, 5);
+
+        const toggleBtn = document.getElementById('toggleTxHistoryBtn');
+        toggleBtn.textContent = this.showAllTransactions ? 'Show Recent' : `Show All (${filtered.length})`;
+        toggleBtn.style.display = filtered.length > 5 || this.showAllTransactions ? '' : 'none';
 
-        if (this.transactions.length === 0) {
-            list.innerHTML = '<p class="no-transactions">No transactions yet</p>';
+        if (visible.length === 0) {
+            list.innerHTML = `<p class="no-transactions">${this.transactions.length === 0 ? 'No transactions yet' : 'No transactions match the filters'}</p>`;
             return;
         }
 
-        list.innerHTML = this.transactions.slice(0, 5).map(tx => `
-            <div class="transaction-item">
-                <div>
-                    <div class="transaction-hash">
-                        <a href="https://sepolia.etherscan.io/tx/${tx.hash}" target="_blank">
-                            ${this.formatAddress(tx.hash)}
-                        </a>
-                    </div>
-                    <div style="font-size: 12px; color: var(--text-muted);">
-                        ${tx.description} • ${new Date(tx.timestamp).toLocaleTimeString()}
+        list.innerHTML = visible.map(tx => {
+            const explorerUrl = getExplorerUrl(this.network, 'tx', tx.hash);
+
+            const hashLink = explorerUrl
+                ? `<a href="${explorerUrl}" target="_blank">${this.formatAddress(tx.hash)}</a>`
+                : this.formatAddress(tx.hash);
+
+            return `
+                <div class="transaction-item">
+                    <div>
+                        <div class="transaction-hash">
+                            ${hashLink}
+                        </div>
+                        <div style="font-size: 12px; color: var(--text-muted);">
+                            ${this.escapeHtml(tx.description)} • ${new Date(tx.timestamp).toLocaleString()}
+                            ${tx.detail ? ` • ${this.escapeHtml(tx.detail)}` : ''}
+                        </div>
                     </div>
+                    <div class="transaction-status ${tx.status}">${this.getTransactionStatusText(tx)}</div>
                 </div>
-                <div class="transaction-status ${tx.status}">${tx.status}</div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
     }
 }
 
@@ -670,18 +2680,3 @@ class PrivateAgeVerificationApp {
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new PrivateAgeVerificationApp();
 });
-
-// Handle account/network changes
-if (typeof window.ethereum !== 'undefined') {
-    window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-            location.reload();
-        } else {
-            window.app?.connectWallet();
-        }
-    });
-
-    window.ethereum.on('chainChanged', () => {
-        location.reload();
-    });
-}
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Private Age Verification - Attestation Verifier
+// Checks EIP-712 age attestations offline: signature, expiry and the issuing verifier.
+// With a provider it also checks that the subject is still eligible on-chain.
+// Runs in browsers and in Node.js backends (pass `ethers` explicitly when it is not a global).
+
+const ATTESTATION_DOMAIN_NAME = 'PrivateAgeVerification';
+const ATTESTATION_DOMAIN_VERSION = '1';
+
+// Must match ATTESTATION_TYPEHASH in the contract
+const ATTESTATION_TYPES = {
+    AgeAttestation: [
+        { name: 'subject', type: 'address' },
+        { name: 'policyId', type: 'uint256' },
+        { name: 'issuedAt', type: 'uint256' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+function getAttestationDomain(chainId, contractAddress) {
+    return {
+        name: ATTESTATION_DOMAIN_NAME,
+        version: ATTESTATION_DOMAIN_VERSION,
+        chainId: Number(chainId),
+        verifyingContract: contractAddress
+    };
+}
+
+class AgeAttestationVerifier {
+    // Either `provider` (verifiers are looked up with isAuthorizedVerifier) or a fixed
+    // `authorizedVerifiers` list for fully offline checks must be supplied.
+    // `network` takes chainId and contractAddress from the registry in networks.js.
+    constructor(options = {}) {
+        let network = null;
+        if (options.network) {
+            const registry = typeof window !== 'undefined' && window.PrivateAgeNetworks
+                ? window.PrivateAgeNetworks
+                : require('./networks.js');
+            network = registry.getNetworkConfig(options.network);
+        }
+
+        const chainId = options.chainId || (network && network.chainId);
+        const contractAddress = options.contractAddress || (network && network.contractAddress);
+
+        if (!contractAddress || !chainId) {
+            throw new Error('network, or contractAddress and chainId, are required');
+        }
+        if (!options.provider && !options.authorizedVerifiers) {
+            throw new Error('Either provider or authorizedVerifiers is required');
+        }
+
+        this.ethers = options.ethers || (typeof window !== 'undefined' ? window.ethers : undefined);
+        this.domain = getAttestationDomain(chainId, contractAddress);
+        this.provider = options.provider || null;
+        this.authorizedVerifiers = options.authorizedVerifiers
+            ? new Set(options.authorizedVerifiers.map(address => address.toLowerCase()))
+            : null;
+        // Seconds of tolerated clock drift between issuer and this machine
+        this.clockSkew = options.clockSkew || 0;
+    }
+
+    // Resolves to { valid, reason, signer, attestation }; never throws for malformed input
+    async verify(attestation, now = Math.floor(Date.now() / 1000)) {
+        const fail = (reason, signer = null) => ({ valid: false, reason, signer, attestation });
+
+        if (!attestation || !attestation.message || !attestation.signature) {
+            return fail('Malformed attestation');
+        }
+
+        // Pin the domain so an attestation for another deployment or chain is rejected
+        const domain = attestation.domain || {};
+        if (Number(domain.chainId) !== this.domain.chainId ||
+            String(domain.verifyingContract).toLowerCase() !== this.domain.verifyingContract.toLowerCase() ||
+            domain.name !== this.domain.name ||
+            domain.version !== this.domain.version) {
+            return fail('Attestation was issued for a different contract or chain');
+        }
+
+        let signer;
+        try {
+            signer = this.ethers.verifyTypedData(this.domain, ATTESTATION_TYPES, attestation.message, attestation.signature);
+        } catch (error) {
+            return fail('Invalid signature');
+        }
+
+        if (attestation.verifier && signer.toLowerCase() !== attestation.verifier.toLowerCase()) {
+            return fail('Signature does not match the stated verifier', signer);
+        }
+
+        const issuedAt = Number(attestation.message.issuedAt);
+        const expiresAt = Number(attestation.message.expiresAt);
+
+        if (issuedAt > now + this.clockSkew) {
+            return fail('Attestation is not valid yet', signer);
+        }
+        if (expiresAt <= now - this.clockSkew) {
+            return fail('Attestation has expired', signer);
+        }
+
+        let authorized;
+        try {
+            authorized = await this.isAuthorizedVerifier(signer);
+        } catch (error) {
+            // RPC failures are reported as an invalid result so callers never need a try/catch
+            return fail(`Verifier lookup failed: ${error.shortMessage || error.message}`, signer);
+        }
+        if (!authorized) {
+            return fail('Signer is not an authorized verifier', signer);
+        }
+
+        // A signature cannot be recalled, so revocation, expiry and resubmission only show on-chain
+        if (this.provider) {
+            let eligible;
+            try {
+                eligible = await this.isSubjectEligible(attestation.message.subject, attestation.message.policyId);
+            } catch (error) {
+                return fail(`Eligibility lookup failed: ${error.shortMessage || error.message}`, signer);
+            }
+            if (!eligible) {
+                return fail('Subject is no longer eligible on-chain', signer);
+            }
+        }
+
+        return { valid: true, reason: null, signer, attestation };
+    }
+
+    async isAuthorizedVerifier(address) {
+        if (this.authorizedVerifiers) {
+            return this.authorizedVerifiers.has(address.toLowerCase());
+        }
+
+        const contract = new this.ethers.Contract(
+            this.domain.verifyingContract,
+            ['function isAuthorizedVerifier(address verifier) view returns (bool)'],
+            this.provider
+        );
+        return contract.isAuthorizedVerifier(address);
+    }
+
+    async isSubjectEligible(subject, policyId) {
+        const contract = new this.ethers.Contract(
+            this.domain.verifyingContract,
+            ['function isUserEligible(address user, uint256 policyId) view returns (bool completed, bool satisfied)'],
+            this.provider
+        );
+        const [completed, satisfied] = await contract.isUserEligible(subject, policyId);
+        return completed && satisfied;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PrivateAgeAttestation = { AgeAttestationVerifier, ATTESTATION_TYPES, getAttestationDomain };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AgeAttestationVerifier, ATTESTATION_TYPES, getAttestationDomain };
+}
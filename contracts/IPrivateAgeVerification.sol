@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ebool } from "@fhevm/solidity/lib/FHE.sol";
+
+// 消费合约接口：在不解密的情况下使用用户的加密成年标志
+//
+// 使用流程：
+// 1. 用户调用 grantConsumerAccess(消费合约地址) 授权
+// 2. 消费合约在交易中调用 getEncryptedAdultFlag(user)，获得仅在本交易内可用的 ebool 句柄
+// 3. 消费合约用 FHE.select 等运算分支处理，结果保持加密
+// 注意：持有临时权限的消费合约也可以对句柄调用 FHE.allow 或请求解密，从而得知成年标志；用户只应授权可信合约
+// 用户可随时 revokeConsumerAccess；之后消费合约无法再获取新的句柄
+interface IPrivateAgeVerification {
+    // 已授权的消费合约获取按当前区块时间计算的加密成年标志（未授权、未提交、过期或已撤销时回滚）
+    function getEncryptedAdultFlag(address user) external returns (ebool);
+
+    // 查询用户是否已授权某个消费合约
+    function consumerAccess(address user, address consumer) external view returns (bool);
+
+    // 公开的成年验证结果（过期或已撤销的结果视为未完成）
+    function isUserAdult(address user) external view returns (bool completed, bool isAdult);
+}
@@ -1,20 +1,28 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint16, ebool, externalEuint16 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IPrivateAgeVerification } from "./IPrivateAgeVerification.sol";
 
-contract PrivateAgeVerification is SepoliaConfig {
+contract PrivateAgeVerification is SepoliaConfig, IPrivateAgeVerification {
 
     address public owner;
     uint256 public totalVerifications;
 
+    enum RevocationReason { None, Fraud, UserRequest, DataError, Other }
+
+    // 出生日期以月份序号存储：年*12 + (月-1)
     struct AgeVerification {
-        euint8 encryptedAge;
+        euint16 encryptedBirthMonth;
         bool isVerified;
         uint256 timestamp;
         ebool isAdult;
+        uint256 isAdultEvaluatedAt;
         bool verificationCompleted;
+        uint256 expiresAt;
+        bool revoked;
+        RevocationReason revocationReason;
     }
 
     struct VerificationResult {
@@ -24,32 +32,176 @@ contract PrivateAgeVerification is SepoliaConfig {
         bool success;
     }
 
+    struct RangeProof {
+        uint8 minAge;
+        uint8 maxAge;
+        ebool result;
+        uint256 timestamp;
+    }
+
+    struct AgeComparison {
+        address requester;
+        address otherUser;
+        ebool requesterIsOlder;
+        uint256 timestamp;
+    }
+
+    enum ComparisonRequestStatus { None, Pending, Approved, Rejected, Executed }
+
+    struct ComparisonRequest {
+        address requester;
+        address target;
+        uint256 createdAt;
+        uint256 expiresAt;
+        ComparisonRequestStatus status;
+    }
+
+    struct AgePolicy {
+        string name;
+        uint8 minAge;
+        uint8 maxAge;
+        address creator;
+    }
+
+    struct PolicyEvaluation {
+        ebool result;
+        bool evaluated;
+        bool decryptionPending;
+        bool completed;
+        bool satisfied;
+        uint256 timestamp;
+    }
+
+    struct DecryptionRequest {
+        address user;
+        uint256 nonce;
+    }
+
+    struct PolicyDecryptionRequest {
+        address user;
+        uint256 policyId;
+        uint256 nonce;
+    }
+
+    struct SignedAttestation {
+        uint256 policyId;
+        uint256 issuedAt;
+        uint256 expiresAt;
+        address verifier;
+        bytes signature;
+    }
+
     mapping(address => AgeVerification) public userVerifications;
     mapping(address => bool) public authorizedVerifiers;
     mapping(address => bool) public pendingVerifications;
+    address[] private pendingUsers;
+    mapping(address => uint256) private pendingUserIndex;
+    mapping(address => bool) public decryptionPending;
+    mapping(uint256 => DecryptionRequest) public decryptionRequests;
+    // 每次提交、删除、重置或撤销记录时递增；解密请求记录发起时的值，回调据此丢弃过期结果
+    mapping(address => uint256) public submissionNonces;
     VerificationResult[] public verificationHistory;
+    mapping(address => uint256) private latestVerificationIndex;
+    uint256 public verificationValidityPeriod = 365 days;
+    mapping(address => RangeProof[]) private userRangeProofs;
+    AgeComparison[] private ageComparisons;
+    mapping(address => uint256[]) private outgoingComparisons;
+    mapping(address => uint256[]) private incomingComparisons;
+    ComparisonRequest[] public comparisonRequests;
+    mapping(address => uint256[]) private sentComparisonRequests;
+    mapping(address => uint256[]) private receivedComparisonRequests;
+    AgePolicy[] public agePolicies;
+    // 用户 => 提交nonce => 策略ID；nonce递增后旧评估自然失效，无需逐个删除
+    mapping(address => mapping(uint256 => mapping(uint256 => PolicyEvaluation))) private policyEvaluations;
+    mapping(uint256 => PolicyDecryptionRequest) private policyDecryptionRequests;
+    mapping(address => SignedAttestation[]) private userAttestations;
+    mapping(address => mapping(address => bool)) public consumerAccess;
+    mapping(address => address[]) private grantedConsumers;
+    mapping(address => mapping(address => uint256)) private grantedConsumerIndex;
+
+    // EIP-712：验证者签发的离线年龄证明
+    bytes32 public constant ATTESTATION_TYPEHASH =
+        keccak256("AgeAttestation(address subject,uint256 policyId,uint256 issuedAt,uint256 expiresAt)");
+    bytes32 public immutable DOMAIN_SEPARATOR;
 
+    uint8 constant MINIMUM_AGE_THRESHOLD = 13;
+    uint8 constant YOUTH_AGE_THRESHOLD = 16;
     uint8 constant ADULT_AGE_THRESHOLD = 18;
+    uint8 constant ALCOHOL_AGE_THRESHOLD = 21;
     uint8 constant SENIOR_AGE_THRESHOLD = 65;
+    uint8 constant MAX_VALID_AGE = 120;
+    uint256 constant COMPARISON_REQUEST_TTL = 3 days;
+    uint256 public constant RESUBMISSION_COOLDOWN = 1 days;
 
     event AgeSubmitted(address indexed user, uint256 timestamp);
+    event AgeResubmitted(address indexed user, uint256 timestamp);
+    event VerificationDeleted(address indexed user, uint256 timestamp);
     event VerificationCompleted(address indexed user, bool isAdult, uint256 timestamp);
+    event VerificationRevoked(address indexed user, RevocationReason reason, address indexed verifier, uint256 timestamp);
+    event VerificationValidityPeriodUpdated(uint256 validityPeriod);
     event VerifierAdded(address indexed verifier);
     event VerifierRemoved(address indexed verifier);
     event AgeVerificationRequested(address indexed user, uint256 timestamp);
+    event ComparisonRequested(uint256 indexed requestId, address indexed requester, address indexed target, uint256 expiresAt);
+    event ComparisonRequestApproved(uint256 indexed requestId, address indexed requester, address indexed target);
+    event ComparisonRequestRejected(uint256 indexed requestId, address indexed requester, address indexed target);
+    event AgesCompared(uint256 indexed comparisonId, address indexed requester, address indexed otherUser, bytes32 resultHandle);
+    event AgePolicyCreated(uint256 indexed policyId, string name, uint8 minAge, uint8 maxAge);
+    event PolicyEvaluated(address indexed user, uint256 indexed policyId, bytes32 resultHandle);
+    event PolicyVerificationRequested(address indexed user, uint256 indexed policyId);
+    event PolicyVerificationCompleted(address indexed user, uint256 indexed policyId, bool satisfied, uint256 timestamp);
+    event AgeRangeVerified(address indexed user, uint256 indexed proofId, uint8 minAge, uint8 maxAge, bytes32 resultHandle);
+    event ConsumerAccessGranted(address indexed user, address indexed consumer);
+    event ConsumerAccessRevoked(address indexed user, address indexed consumer);
+    event DecryptionRequestDiscarded(uint256 indexed requestId, address indexed user);
+    event AttestationIssued(address indexed subject, uint256 indexed policyId, address indexed verifier, uint256 expiresAt);
+
+    // 自定义错误（前端 errors.js 按名称解码为提示信息，新增错误时需同步更新）
+    error NotOwner();
+    error NotAuthorizedVerifier();
+    error ContractPaused();
+    error AgeAlreadySubmitted(address user);
+    error AgeNotSubmitted(address user);
+    error DecryptionAlreadyPending(address user);
+    error ResubmissionCooldownActive(uint256 availableAt);
+    error ConsumerNotContract(address consumer);
+    error ConsumerAccessAlreadyGranted(address user, address consumer);
+    error ConsumerAccessNotGranted(address user, address consumer);
+    error VerificationNotValid(address user);
+    error VerificationNotCompleted(address user);
+    error VerificationAlreadyCompleted(address user);
+    error VerificationAlreadyRevoked(address user);
+    error RevocationReasonRequired();
+    error UnknownDecryptionRequest(uint256 requestId);
+    error InvalidAgeRange(uint8 minAge, uint8 maxAge);
+    error InvalidProofId(uint256 proofId);
+    error CannotCompareWithSelf();
+    error InvalidRequestId(uint256 requestId);
+    error NotRequestTarget(uint256 requestId);
+    error NotRequestOwner(uint256 requestId);
+    error RequestNotPending(uint256 requestId);
+    error RequestNotApproved(uint256 requestId);
+    error RequestExpired(uint256 requestId, uint256 expiresAt);
+    error InvalidComparisonId(uint256 comparisonId);
+    error PolicyNameRequired();
+    error InvalidPolicyId(uint256 policyId);
+    error PolicyNotEvaluated(address user, uint256 policyId);
+    error PolicyVerificationAlreadyCompleted(address user, uint256 policyId);
+    error PolicyNotSatisfied(address user, uint256 policyId);
+    error InvalidAttestationPeriod(uint256 issuedAt, uint256 expiresAt);
+    error InvalidAttestationId(uint256 index);
+    error InvalidSignature();
+    error InvalidVerifierAddress();
+    error CannotRemoveOwner();
+    error InvalidStartIndex(uint256 startIndex);
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+        if (msg.sender != owner) revert NotOwner();
         _;
     }
 
     modifier onlyAuthorizedVerifier() {
-        require(authorizedVerifiers[msg.sender] || msg.sender == owner, "Not authorized verifier");
-        _;
-    }
-
-    modifier onlyValidAge(uint8 _age) {
-        require(_age >= 1 && _age <= 120, "Invalid age range");
+        if (!authorizedVerifiers[msg.sender] && msg.sender != owner) revert NotAuthorizedVerifier();
         _;
     }
 
@@ -57,51 +209,281 @@ contract PrivateAgeVerification is SepoliaConfig {
         owner = msg.sender;
         authorizedVerifiers[msg.sender] = true;
         totalVerifications = 0;
+
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes("PrivateAgeVerification")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+
+        // 默认年龄策略（maxAge为0表示无上限）
+        _createAgePolicy("13+", MINIMUM_AGE_THRESHOLD, 0);
+        _createAgePolicy("16+", YOUTH_AGE_THRESHOLD, 0);
+        _createAgePolicy("18+", ADULT_AGE_THRESHOLD, 0);
+        _createAgePolicy("21+", ALCOHOL_AGE_THRESHOLD, 0);
+        _createAgePolicy("65+", SENIOR_AGE_THRESHOLD, 0);
     }
 
-    // 用户提交加密年龄
-    function submitEncryptedAge(uint8 _age) external onlyValidAge(_age) {
-        require(!userVerifications[msg.sender].isVerified, "Already verified");
+    // 用户提交客户端加密的出生年月（明文不会出现在calldata中）
+    function submitEncryptedBirthDate(externalEuint16 encryptedBirthMonthInput, bytes calldata inputProof) external whenNotPaused {
+        if (userVerifications[msg.sender].isVerified) revert AgeAlreadySubmitted(msg.sender);
 
-        // 加密年龄数据
-        euint8 encryptedAge = FHE.asEuint8(_age);
+        _storeBirthMonth(encryptedBirthMonthInput, inputProof);
+        totalVerifications++;
 
-        // 使用FHE进行隐私年龄比较
-        ebool isAdult = FHE.ge(encryptedAge, FHE.asEuint8(ADULT_AGE_THRESHOLD));
+        emit AgeSubmitted(msg.sender, block.timestamp);
+    }
 
-        userVerifications[msg.sender] = AgeVerification({
-            encryptedAge: encryptedAge,
-            isVerified: true,
-            timestamp: block.timestamp,
-            isAdult: isAdult,
-            verificationCompleted: false
-        });
+    // 用户替换自己的提交（冷却期后），并重置完成状态
+    function resubmitEncryptedBirthDate(externalEuint16 encryptedBirthMonthInput, bytes calldata inputProof) external whenNotPaused {
+        AgeVerification storage verification = userVerifications[msg.sender];
+        if (!verification.isVerified) revert AgeNotSubmitted(msg.sender);
+        if (block.timestamp < verification.timestamp + RESUBMISSION_COOLDOWN) {
+            revert ResubmissionCooldownActive(verification.timestamp + RESUBMISSION_COOLDOWN);
+        }
+
+        // 作废进行中的解密请求（_storeBirthMonth会递增nonce），迟到的回调会被丢弃
+        decryptionPending[msg.sender] = false;
+        _deleteRecordKeepingRevocation(msg.sender);
+        // 旧证明针对被替换的出生日期，不再提供下载
+        delete userAttestations[msg.sender];
+        _storeBirthMonth(encryptedBirthMonthInput, inputProof);
+
+        emit AgeResubmitted(msg.sender, block.timestamp);
+    }
+
+    // 用户删除自己的验证记录
+    function deleteMyVerification() external {
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
+
+        // 作废进行中的解密请求，迟到的回调会被丢弃；预言机不回调时用户也能删除
+        decryptionPending[msg.sender] = false;
+
+        // FHEVM的ACL授权无法撤回，因此丢弃所有密文句柄，使其不再被任何接口返回
+        _deleteRecordKeepingRevocation(msg.sender);
+        submissionNonces[msg.sender]++;
+        // 重新提交时会再次计数，保持为当前有记录的用户数
+        totalVerifications--;
+        delete userRangeProofs[msg.sender];
+        delete userAttestations[msg.sender];
+        _clearConsumerAccess(msg.sender);
+        _removePending(msg.sender);
+
+        emit VerificationDeleted(msg.sender, block.timestamp);
+    }
+
+    // 撤销状态跨删除和重新提交保留，只有验证者重新完成验证才能解除
+    function _deleteRecordKeepingRevocation(address user) private {
+        AgeVerification storage verification = userVerifications[user];
+        bool revoked = verification.revoked;
+        RevocationReason reason = verification.revocationReason;
+
+        delete userVerifications[user];
+
+        verification.revoked = revoked;
+        verification.revocationReason = reason;
+    }
+
+    function _storeBirthMonth(externalEuint16 encryptedBirthMonthInput, bytes calldata inputProof) private {
+        // 校验输入证明并导入密文
+        euint16 encryptedBirthMonth = FHE.fromExternal(encryptedBirthMonthInput, inputProof);
+
+        userVerifications[msg.sender].encryptedBirthMonth = encryptedBirthMonth;
+        userVerifications[msg.sender].isVerified = true;
+        userVerifications[msg.sender].timestamp = block.timestamp;
+        submissionNonces[msg.sender]++;
 
         // 设置访问控制权限
-        FHE.allowThis(encryptedAge);
-        FHE.allowThis(isAdult);
-        FHE.allow(encryptedAge, msg.sender);
-        FHE.allow(isAdult, msg.sender);
+        FHE.allowThis(encryptedBirthMonth);
+        FHE.allow(encryptedBirthMonth, msg.sender);
 
-        totalVerifications++;
+        _evaluateAdult(msg.sender);
+        _addPending(msg.sender);
+    }
 
-        emit AgeSubmitted(msg.sender, block.timestamp);
+    // 用户授权某个消费合约读取其加密成年标志
+    function grantConsumerAccess(address consumer) external whenNotPaused {
+        if (consumer.code.length == 0) revert ConsumerNotContract(consumer);
+        if (consumerAccess[msg.sender][consumer]) revert ConsumerAccessAlreadyGranted(msg.sender, consumer);
+
+        consumerAccess[msg.sender][consumer] = true;
+        grantedConsumers[msg.sender].push(consumer);
+        grantedConsumerIndex[msg.sender][consumer] = grantedConsumers[msg.sender].length;
+
+        emit ConsumerAccessGranted(msg.sender, consumer);
     }
 
-    // 请求年龄验证结果 - 简化版本，返回加密的验证结果
-    function getVerificationResult() external view returns (ebool) {
-        require(userVerifications[msg.sender].isVerified, "Age not submitted");
+    // 撤销授权；暂停期间仍可撤销
+    function revokeConsumerAccess(address consumer) external {
+        if (!consumerAccess[msg.sender][consumer]) revert ConsumerAccessNotGranted(msg.sender, consumer);
+
+        // 交换删除，保持授权列表紧凑
+        address[] storage consumers = grantedConsumers[msg.sender];
+        uint256 index = grantedConsumerIndex[msg.sender][consumer] - 1;
+        address last = consumers[consumers.length - 1];
+
+        consumers[index] = last;
+        grantedConsumerIndex[msg.sender][last] = index + 1;
+        consumers.pop();
+
+        delete grantedConsumerIndex[msg.sender][consumer];
+        consumerAccess[msg.sender][consumer] = false;
+
+        emit ConsumerAccessRevoked(msg.sender, consumer);
+    }
+
+    // 删除记录时一并撤销所有授权，避免重新提交后旧授权自动恢复
+    function _clearConsumerAccess(address user) private {
+        address[] storage consumers = grantedConsumers[user];
+        for (uint256 i = 0; i < consumers.length; i++) {
+            consumerAccess[user][consumers[i]] = false;
+            delete grantedConsumerIndex[user][consumers[i]];
+            emit ConsumerAccessRevoked(user, consumers[i]);
+        }
+        delete grantedConsumers[user];
+    }
+
+    // 获取用户已授权的消费合约
+    function getGrantedConsumers(address user) external view returns (address[] memory) {
+        return grantedConsumers[user];
+    }
+
+    // 消费合约读取按当前时间重新计算的加密成年标志
+    function getEncryptedAdultFlag(address user) external whenNotPaused returns (ebool) {
+        if (!consumerAccess[user][msg.sender]) revert ConsumerAccessNotGranted(user, msg.sender);
+        if (!userVerifications[user].isVerified) revert AgeNotSubmitted(user);
+        if (!_isVerificationValid(user)) revert VerificationNotValid(user);
+
+        // 仅授予本交易内的临时权限，撤销授权后消费合约无法再获取新的句柄
+        // 临时权限足以让消费合约转授权或请求解密，因此授权即意味着信任该合约
+        ebool isAdult = _evaluateAdult(user);
+        FHE.allowTransient(isAdult, msg.sender);
+
+        return isAdult;
+    }
+
+    // 获取最近一次计算的加密成年结果及计算时间
+    function getVerificationResult() external view returns (ebool isAdult, uint256 evaluatedAt) {
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
 
         AgeVerification storage verification = userVerifications[msg.sender];
-        return verification.isAdult;
+        return (verification.isAdult, verification.isAdultEvaluatedAt);
+    }
+
+    // 按当前时间重新计算成年结果
+    function refreshAdultStatus() external whenNotPaused returns (ebool) {
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
+
+        return _evaluateAdult(msg.sender);
+    }
+
+    function _evaluateAdult(address user) private returns (ebool) {
+        // 超出有效年龄上限（含未来日期）的值不视为成年
+        ebool isAdult = _ageInRange(userVerifications[user].encryptedBirthMonth, ADULT_AGE_THRESHOLD, MAX_VALID_AGE);
+
+        FHE.allowThis(isAdult);
+        FHE.allow(isAdult, user);
+
+        userVerifications[user].isAdult = isAdult;
+        userVerifications[user].isAdultEvaluatedAt = block.timestamp;
+
+        return isAdult;
+    }
+
+    // 按当前区块时间判断加密出生年月对应的年龄是否在[minAge, maxAge]内
+    function _ageInRange(euint16 birthMonth, uint8 minAge, uint8 maxAge) private returns (ebool) {
+        uint256 currentMonth = _currentMonthIndex();
+        uint256 minAgeMonths = uint256(minAge) * 12;
+        uint256 beyondMaxMonths = (uint256(maxAge) + 1) * 12;
+
+        // 年龄 >= minAge 等价于 出生月份 <= 当前月份 - minAge*12
+        ebool oldEnough = currentMonth >= minAgeMonths
+            ? FHE.le(birthMonth, FHE.asEuint16(uint16(currentMonth - minAgeMonths)))
+            : FHE.asEbool(false);
+
+        // 年龄 <= maxAge 等价于 出生月份 > 当前月份 - (maxAge+1)*12
+        ebool youngEnough = currentMonth >= beyondMaxMonths
+            ? FHE.gt(birthMonth, FHE.asEuint16(uint16(currentMonth - beyondMaxMonths)))
+            : FHE.asEbool(true);
+
+        return FHE.and(oldEnough, youngEnough);
+    }
+
+    // 当前区块时间对应的月份序号（年*12 + 月-1）
+    function _currentMonthIndex() private view returns (uint256) {
+        // 由Unix天数换算公历年月（Howard Hinnant civil_from_days算法）
+        uint256 z = block.timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = era * 400 + yoe + (month <= 2 ? 1 : 0);
+
+        return year * 12 + (month - 1);
+    }
+
+    // 验证者为用户请求解密预言机公开解密加密的成年结果
+    function completeVerificationForUser(address user) external onlyAuthorizedVerifier whenNotPaused {
+        _requestCompletion(user);
     }
 
-    // 管理员可以为用户完成验证（用于演示目的）
-    function completeVerificationForUser(address user, bool isAdult) external onlyAuthorizedVerifier {
-        require(userVerifications[user].isVerified, "User age not submitted");
-        require(!userVerifications[user].verificationCompleted, "Verification already completed");
+    // 验证者批量请求完成验证
+    function completeVerificationsForUsers(address[] calldata users) external onlyAuthorizedVerifier whenNotPaused {
+        for (uint256 i = 0; i < users.length; i++) {
+            _requestCompletion(users[i]);
+        }
+    }
+
+    function _requestCompletion(address user) private {
+        if (!userVerifications[user].isVerified) revert AgeNotSubmitted(user);
+        if (decryptionPending[user]) revert DecryptionAlreadyPending(user);
+
+        // 已完成的未成年结果可随时间重新验证；有效的成年结果在过期或撤销前不会再改变
+        if (userVerifications[user].verificationCompleted && _isVerificationValid(user)) {
+            uint256 index = latestVerificationIndex[user];
+            if (index != 0 && verificationHistory[index - 1].isAdult) revert VerificationAlreadyCompleted(user);
+        }
+
+        // 以完成时刻的区块时间计算成年结果
+        ebool isAdult = _evaluateAdult(user);
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(isAdult);
+        uint256 requestId = FHE.requestDecryption(cts, this.verificationCallback.selector);
+
+        decryptionRequests[requestId] = DecryptionRequest({ user: user, nonce: submissionNonces[user] });
+        decryptionPending[user] = true;
+
+        emit AgeVerificationRequested(user, block.timestamp);
+    }
+
+    // 解密预言机回调：写入经签名验证的解密结果
+    function verificationCallback(uint256 requestId, bool isAdult, bytes[] memory signatures) external {
+        FHE.checkSignatures(requestId, signatures);
+
+        DecryptionRequest memory request = decryptionRequests[requestId];
+        address user = request.user;
+        if (user == address(0)) revert UnknownDecryptionRequest(requestId);
+
+        delete decryptionRequests[requestId];
+
+        // 记录在请求后被重置或替换，解密结果已不对应当前记录，直接丢弃
+        if (request.nonce != submissionNonces[user] || !decryptionPending[user]) {
+            emit DecryptionRequestDiscarded(requestId, user);
+            return;
+        }
+
+        decryptionPending[user] = false;
 
         userVerifications[user].verificationCompleted = true;
+        userVerifications[user].expiresAt = verificationValidityPeriod == 0 ? 0 : block.timestamp + verificationValidityPeriod;
+        userVerifications[user].revoked = false;
+        userVerifications[user].revocationReason = RevocationReason.None;
+        _removePending(user);
 
         // 记录验证历史
         verificationHistory.push(VerificationResult({
@@ -110,66 +492,461 @@ contract PrivateAgeVerification is SepoliaConfig {
             timestamp: block.timestamp,
             success: true
         }));
+        // 记录最新结果位置（索引+1，0表示无记录），使查询不随历史增长
+        latestVerificationIndex[user] = verificationHistory.length;
 
         emit VerificationCompleted(user, isAdult, block.timestamp);
     }
 
-    // 检查用户是否为成年人（仅返回公开结果）
+    // 检查用户是否为成年人（仅返回公开结果；过期或已撤销的结果视为未完成）
     function isUserAdult(address user) external view returns (bool completed, bool isAdult) {
         AgeVerification storage verification = userVerifications[user];
-        if (!verification.verificationCompleted) {
+        if (!verification.verificationCompleted || !_isVerificationValid(user)) {
             return (false, false);
         }
 
-        // 查找历史记录中的结果
-        for (uint i = verificationHistory.length; i > 0; i--) {
-            if (verificationHistory[i-1].user == user) {
-                return (true, verificationHistory[i-1].isAdult);
-            }
+        uint256 index = latestVerificationIndex[user];
+        if (index == 0) {
+            return (false, false);
         }
 
-        return (false, false);
+        return (true, verificationHistory[index - 1].isAdult);
+    }
+
+    function _isVerificationValid(address user) private view returns (bool) {
+        AgeVerification storage verification = userVerifications[user];
+        return !verification.revoked && (verification.expiresAt == 0 || block.timestamp < verification.expiresAt);
+    }
+
+    // 验证者撤销已完成的验证
+    function revokeVerification(address user, RevocationReason reason) external onlyAuthorizedVerifier {
+        if (reason == RevocationReason.None) revert RevocationReasonRequired();
+
+        AgeVerification storage verification = userVerifications[user];
+        if (!verification.verificationCompleted) revert VerificationNotCompleted(user);
+        if (verification.revoked) revert VerificationAlreadyRevoked(user);
+
+        verification.revoked = true;
+        verification.revocationReason = reason;
+
+        // 作废进行中的解密请求，防止迟到的完成回调解除撤销；递增nonce同时使旧的策略结果失效，证明一并删除
+        decryptionPending[user] = false;
+        submissionNonces[user]++;
+        delete userAttestations[user];
+
+        emit VerificationRevoked(user, reason, msg.sender, block.timestamp);
+    }
+
+    // 验证者设置新完成验证的有效期（0表示永不过期）
+    function setVerificationValidityPeriod(uint256 validityPeriod) external onlyAuthorizedVerifier {
+        verificationValidityPeriod = validityPeriod;
+        emit VerificationValidityPeriodUpdated(validityPeriod);
+    }
+
+    // 获取用户验证的有效期及撤销状态
+    function getVerificationValidity(address user) external view returns (
+        uint256 expiresAt,
+        bool revoked,
+        RevocationReason revocationReason
+    ) {
+        AgeVerification storage verification = userVerifications[user];
+        return (verification.expiresAt, verification.revoked, verification.revocationReason);
     }
 
     // 验证年龄范围（高级功能）
-    function verifyAgeRange(uint8 minAge, uint8 maxAge) external returns (ebool) {
-        require(userVerifications[msg.sender].isVerified, "Age not submitted");
-        require(minAge <= maxAge, "Invalid age range");
+    function verifyAgeRange(uint8 minAge, uint8 maxAge) external whenNotPaused returns (ebool) {
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
+        if (minAge > maxAge) revert InvalidAgeRange(minAge, maxAge);
 
-        AgeVerification storage verification = userVerifications[msg.sender];
+        // 按当前时间检查年龄是否在指定范围内
+        ebool inRange = _ageInRange(userVerifications[msg.sender].encryptedBirthMonth, minAge, maxAge);
+
+        // 保存范围证明并授权调用者解密
+        FHE.allowThis(inRange);
+        FHE.allow(inRange, msg.sender);
+
+        uint256 proofId = userRangeProofs[msg.sender].length;
+        userRangeProofs[msg.sender].push(RangeProof({
+            minAge: minAge,
+            maxAge: maxAge,
+            result: inRange,
+            timestamp: block.timestamp
+        }));
 
-        // 检查年龄是否在指定范围内
-        euint8 minAgeEncrypted = FHE.asEuint8(minAge);
-        euint8 maxAgeEncrypted = FHE.asEuint8(maxAge);
+        emit AgeRangeVerified(msg.sender, proofId, minAge, maxAge, FHE.toBytes32(inRange));
 
-        ebool ageAboveMin = FHE.ge(verification.encryptedAge, minAgeEncrypted);
-        ebool ageBelowMax = FHE.le(verification.encryptedAge, maxAgeEncrypted);
+        return inRange;
+    }
 
-        return FHE.and(ageAboveMin, ageBelowMax);
+    // 获取用户范围证明数量
+    function getRangeProofCount(address user) external view returns (uint256) {
+        return userRangeProofs[user].length;
     }
 
-    // 比较两个用户年龄（不泄露具体年龄）
-    function compareAges(address otherUser) external returns (ebool) {
-        require(userVerifications[msg.sender].isVerified, "Your age not submitted");
-        require(userVerifications[otherUser].isVerified, "Other user age not submitted");
+    // 获取用户的某个范围证明
+    function getRangeProof(address user, uint256 proofId) external view returns (
+        uint8 minAge,
+        uint8 maxAge,
+        ebool result,
+        uint256 timestamp
+    ) {
+        if (proofId >= userRangeProofs[user].length) revert InvalidProofId(proofId);
+
+        RangeProof storage proof = userRangeProofs[user][proofId];
+        return (proof.minAge, proof.maxAge, proof.result, proof.timestamp);
+    }
+
+    // 发起年龄比较请求，需对方批准后才能执行
+    function requestAgeComparison(address target) external whenNotPaused returns (uint256) {
+        if (target == msg.sender) revert CannotCompareWithSelf();
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
+        if (!userVerifications[target].isVerified) revert AgeNotSubmitted(target);
+
+        uint256 requestId = comparisonRequests.length;
+        uint256 expiresAt = block.timestamp + COMPARISON_REQUEST_TTL;
+
+        comparisonRequests.push(ComparisonRequest({
+            requester: msg.sender,
+            target: target,
+            createdAt: block.timestamp,
+            expiresAt: expiresAt,
+            status: ComparisonRequestStatus.Pending
+        }));
+        sentComparisonRequests[msg.sender].push(requestId);
+        receivedComparisonRequests[target].push(requestId);
+
+        emit ComparisonRequested(requestId, msg.sender, target, expiresAt);
+
+        return requestId;
+    }
+
+    // 被比较方批准请求
+    function approveComparisonRequest(uint256 requestId) external whenNotPaused {
+        ComparisonRequest storage request = _pendingRequestForTarget(requestId);
+        request.status = ComparisonRequestStatus.Approved;
+
+        emit ComparisonRequestApproved(requestId, request.requester, request.target);
+    }
+
+    // 被比较方拒绝请求
+    function rejectComparisonRequest(uint256 requestId) external whenNotPaused {
+        ComparisonRequest storage request = _pendingRequestForTarget(requestId);
+        request.status = ComparisonRequestStatus.Rejected;
+
+        emit ComparisonRequestRejected(requestId, request.requester, request.target);
+    }
+
+    function _pendingRequestForTarget(uint256 requestId) private view returns (ComparisonRequest storage) {
+        if (requestId >= comparisonRequests.length) revert InvalidRequestId(requestId);
+
+        ComparisonRequest storage request = comparisonRequests[requestId];
+        if (request.target != msg.sender) revert NotRequestTarget(requestId);
+        if (request.status != ComparisonRequestStatus.Pending) revert RequestNotPending(requestId);
+        if (block.timestamp > request.expiresAt) revert RequestExpired(requestId, request.expiresAt);
+
+        return request;
+    }
+
+    // 获取用户发出的比较请求
+    function getSentComparisonRequests(address user) external view returns (uint256[] memory) {
+        return sentComparisonRequests[user];
+    }
+
+    // 获取用户收到的比较请求
+    function getReceivedComparisonRequests(address user) external view returns (uint256[] memory) {
+        return receivedComparisonRequests[user];
+    }
+
+    // 执行已批准的年龄比较（不泄露具体年龄）
+    function compareAges(uint256 requestId) external whenNotPaused returns (ebool) {
+        if (requestId >= comparisonRequests.length) revert InvalidRequestId(requestId);
+
+        ComparisonRequest storage request = comparisonRequests[requestId];
+        if (request.requester != msg.sender) revert NotRequestOwner(requestId);
+        if (request.status != ComparisonRequestStatus.Approved) revert RequestNotApproved(requestId);
+        if (block.timestamp > request.expiresAt) revert RequestExpired(requestId, request.expiresAt);
+
+        address otherUser = request.target;
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
+        if (!userVerifications[otherUser].isVerified) revert AgeNotSubmitted(otherUser);
+
+        request.status = ComparisonRequestStatus.Executed;
 
         AgeVerification storage myVerification = userVerifications[msg.sender];
         AgeVerification storage otherVerification = userVerifications[otherUser];
 
-        // 返回当前用户是否比另一用户年龄大
-        return FHE.gt(myVerification.encryptedAge, otherVerification.encryptedAge);
+        // 当前用户是否比另一用户年龄大（出生月份更早）
+        ebool requesterIsOlder = FHE.lt(myVerification.encryptedBirthMonth, otherVerification.encryptedBirthMonth);
+
+        // 比较结果对双方开放解密
+        FHE.allowThis(requesterIsOlder);
+        FHE.allow(requesterIsOlder, msg.sender);
+        FHE.allow(requesterIsOlder, otherUser);
+
+        uint256 comparisonId = ageComparisons.length;
+        ageComparisons.push(AgeComparison({
+            requester: msg.sender,
+            otherUser: otherUser,
+            requesterIsOlder: requesterIsOlder,
+            timestamp: block.timestamp
+        }));
+        outgoingComparisons[msg.sender].push(comparisonId);
+        incomingComparisons[otherUser].push(comparisonId);
+
+        emit AgesCompared(comparisonId, msg.sender, otherUser, FHE.toBytes32(requesterIsOlder));
+
+        return requesterIsOlder;
+    }
+
+    // 获取用户发起的比较
+    function getOutgoingComparisons(address user) external view returns (uint256[] memory) {
+        return outgoingComparisons[user];
+    }
+
+    // 获取针对用户的比较
+    function getIncomingComparisons(address user) external view returns (uint256[] memory) {
+        return incomingComparisons[user];
+    }
+
+    // 获取比较详情
+    function getComparison(uint256 comparisonId) external view returns (
+        address requester,
+        address otherUser,
+        ebool requesterIsOlder,
+        uint256 timestamp
+    ) {
+        if (comparisonId >= ageComparisons.length) revert InvalidComparisonId(comparisonId);
+
+        AgeComparison storage comparison = ageComparisons[comparisonId];
+        return (comparison.requester, comparison.otherUser, comparison.requesterIsOlder, comparison.timestamp);
+    }
+
+    // 验证者创建命名年龄策略（maxAge为0表示无上限）
+    function createAgePolicy(string calldata name, uint8 minAge, uint8 maxAge) external onlyAuthorizedVerifier returns (uint256) {
+        return _createAgePolicy(name, minAge, maxAge);
+    }
+
+    function _createAgePolicy(string memory name, uint8 minAge, uint8 maxAge) private returns (uint256) {
+        if (bytes(name).length == 0) revert PolicyNameRequired();
+        if (minAge < 1 || minAge > MAX_VALID_AGE) revert InvalidAgeRange(minAge, maxAge);
+        if (maxAge != 0 && (maxAge < minAge || maxAge > MAX_VALID_AGE)) revert InvalidAgeRange(minAge, maxAge);
+
+        uint256 policyId = agePolicies.length;
+        agePolicies.push(AgePolicy({
+            name: name,
+            minAge: minAge,
+            maxAge: maxAge,
+            creator: msg.sender
+        }));
+
+        emit AgePolicyCreated(policyId, name, minAge, maxAge);
+
+        return policyId;
+    }
+
+    // 获取年龄策略数量
+    function getAgePolicyCount() external view returns (uint256) {
+        return agePolicies.length;
+    }
+
+    // 用户按策略评估自己的加密年龄
+    function evaluatePolicy(uint256 policyId) external whenNotPaused returns (ebool) {
+        if (!userVerifications[msg.sender].isVerified) revert AgeNotSubmitted(msg.sender);
+        if (policyId >= agePolicies.length) revert InvalidPolicyId(policyId);
+
+        PolicyEvaluation storage evaluation = _policyEvaluation(msg.sender, policyId);
+        if (evaluation.decryptionPending) revert DecryptionAlreadyPending(msg.sender);
+
+        // 按当前时间计算；重新评估会清除旧的公开结果，需要重新公开
+        AgePolicy storage policy = agePolicies[policyId];
+        uint8 maxAge = policy.maxAge == 0 ? MAX_VALID_AGE : policy.maxAge;
+        ebool satisfied = _ageInRange(userVerifications[msg.sender].encryptedBirthMonth, policy.minAge, maxAge);
+
+        FHE.allowThis(satisfied);
+        FHE.allow(satisfied, msg.sender);
+
+        evaluation.result = satisfied;
+        evaluation.evaluated = true;
+        evaluation.completed = false;
+        evaluation.satisfied = false;
+        evaluation.timestamp = block.timestamp;
+
+        emit PolicyEvaluated(msg.sender, policyId, FHE.toBytes32(satisfied));
+
+        return satisfied;
+    }
+
+    // 用户本人或验证者请求公开解密策略结果
+    function requestPolicyVerification(address user, uint256 policyId) external whenNotPaused {
+        if (msg.sender != user && !authorizedVerifiers[msg.sender] && msg.sender != owner) {
+            revert NotAuthorizedVerifier();
+        }
+
+        PolicyEvaluation storage evaluation = _policyEvaluation(user, policyId);
+        if (!evaluation.evaluated) revert PolicyNotEvaluated(user, policyId);
+        if (evaluation.completed) revert PolicyVerificationAlreadyCompleted(user, policyId);
+        if (evaluation.decryptionPending) revert DecryptionAlreadyPending(user);
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(evaluation.result);
+        uint256 requestId = FHE.requestDecryption(cts, this.policyVerificationCallback.selector);
+
+        policyDecryptionRequests[requestId] = PolicyDecryptionRequest({
+            user: user,
+            policyId: policyId,
+            nonce: submissionNonces[user]
+        });
+        evaluation.decryptionPending = true;
+
+        emit PolicyVerificationRequested(user, policyId);
+    }
+
+    // 解密预言机回调：写入策略公开结果
+    function policyVerificationCallback(uint256 requestId, bool satisfied, bytes[] memory signatures) external {
+        FHE.checkSignatures(requestId, signatures);
+
+        PolicyDecryptionRequest memory request = policyDecryptionRequests[requestId];
+        if (request.user == address(0)) revert UnknownDecryptionRequest(requestId);
+
+        delete policyDecryptionRequests[requestId];
+
+        // 请求后记录已被替换、删除或重置，旧结果不能写入新记录
+        if (request.nonce != submissionNonces[request.user]) {
+            emit DecryptionRequestDiscarded(requestId, request.user);
+            return;
+        }
+
+        PolicyEvaluation storage evaluation = _policyEvaluation(request.user, request.policyId);
+        evaluation.decryptionPending = false;
+        evaluation.completed = true;
+        evaluation.satisfied = satisfied;
+        evaluation.timestamp = block.timestamp;
+
+        emit PolicyVerificationCompleted(request.user, request.policyId, satisfied, block.timestamp);
+    }
+
+    // 获取用户的策略评估状态及加密结果
+    function getPolicyEvaluation(address user, uint256 policyId) external view returns (
+        bool evaluated,
+        bool pending,
+        bool completed,
+        uint256 timestamp,
+        ebool result
+    ) {
+        PolicyEvaluation storage evaluation = _policyEvaluation(user, policyId);
+        return (
+            evaluation.evaluated,
+            evaluation.decryptionPending,
+            evaluation.completed,
+            evaluation.timestamp,
+            evaluation.result
+        );
+    }
+
+    // 依赖方按策略查询公开结果（过期或已撤销的用户视为未完成，与 isUserAdult 一致）
+    function isUserEligible(address user, uint256 policyId) external view returns (bool completed, bool satisfied) {
+        PolicyEvaluation storage evaluation = _policyEvaluation(user, policyId);
+        if (!evaluation.completed || !_isVerificationValid(user)) {
+            return (false, false);
+        }
+
+        return (true, evaluation.satisfied);
+    }
+
+    // 当前提交的策略评估；删除、重新提交、撤销和重置都会递增nonce
+    function _policyEvaluation(address user, uint256 policyId) private view returns (PolicyEvaluation storage) {
+        return policyEvaluations[user][submissionNonces[user]][policyId];
+    }
+
+    // 验证者发布已签名的年龄证明，供用户下载并离线出示
+    function issueAttestation(
+        address subject,
+        uint256 policyId,
+        uint256 issuedAt,
+        uint256 expiresAt,
+        bytes calldata signature
+    ) external onlyAuthorizedVerifier whenNotPaused {
+        PolicyEvaluation storage evaluation = _policyEvaluation(subject, policyId);
+        if (!evaluation.completed || !evaluation.satisfied) revert PolicyNotSatisfied(subject, policyId);
+        if (!_isVerificationValid(subject)) revert VerificationNotValid(subject);
+        if (issuedAt > block.timestamp || expiresAt <= block.timestamp) revert InvalidAttestationPeriod(issuedAt, expiresAt);
+
+        // 签名者必须是调用者本人，证明不能代他人签发
+        bytes32 digest = hashAttestation(subject, policyId, issuedAt, expiresAt);
+        if (_recoverSigner(digest, signature) != msg.sender) revert InvalidSignature();
+
+        userAttestations[subject].push(SignedAttestation({
+            policyId: policyId,
+            issuedAt: issuedAt,
+            expiresAt: expiresAt,
+            verifier: msg.sender,
+            signature: signature
+        }));
+
+        emit AttestationIssued(subject, policyId, msg.sender, expiresAt);
+    }
+
+    // 计算证明的EIP-712摘要
+    function hashAttestation(
+        address subject,
+        uint256 policyId,
+        uint256 issuedAt,
+        uint256 expiresAt
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(ATTESTATION_TYPEHASH, subject, policyId, issuedAt, expiresAt));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    // 获取用户的证明数量
+    function getAttestationCount(address user) external view returns (uint256) {
+        return userAttestations[user].length;
+    }
+
+    // 获取用户的单个证明
+    function getAttestation(address user, uint256 index) external view returns (
+        uint256 policyId,
+        uint256 issuedAt,
+        uint256 expiresAt,
+        address verifier,
+        bytes memory signature
+    ) {
+        if (index >= userAttestations[user].length) revert InvalidAttestationId(index);
+        SignedAttestation storage attestation = userAttestations[user][index];
+        return (
+            attestation.policyId,
+            attestation.issuedAt,
+            attestation.expiresAt,
+            attestation.verifier,
+            attestation.signature
+        );
+    }
+
+    function _recoverSigner(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) revert InvalidSignature();
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        // 拒绝可延展签名（s须位于曲线阶的下半部分）
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) revert InvalidSignature();
+        if (v != 27 && v != 28) revert InvalidSignature();
+
+        address signer = ecrecover(digest, v, r, s);
+        if (signer == address(0)) revert InvalidSignature();
+        return signer;
     }
 
     // 添加授权验证者
     function addAuthorizedVerifier(address verifier) external onlyOwner {
-        require(verifier != address(0), "Invalid verifier address");
+        if (verifier == address(0)) revert InvalidVerifierAddress();
         authorizedVerifiers[verifier] = true;
         emit VerifierAdded(verifier);
     }
 
     // 移除授权验证者
     function removeAuthorizedVerifier(address verifier) external onlyOwner {
-        require(verifier != owner, "Cannot remove owner");
+        if (verifier == owner) revert CannotRemoveOwner();
         authorizedVerifiers[verifier] = false;
         emit VerifierRemoved(verifier);
     }
@@ -194,14 +971,19 @@ contract PrivateAgeVerification is SepoliaConfig {
         uint256 completedVerifications,
         uint256 pendingCount
     ) {
-        uint256 completed = verificationHistory.length;
+        // 重新验证会追加历史记录，因此待处理数量取自待处理列表而非差值
         return (
             totalVerifications,
-            completed,
-            totalVerifications - completed
+            verificationHistory.length,
+            pendingUsers.length
         );
     }
 
+    // 获取验证历史记录总数
+    function getVerificationHistoryCount() external view returns (uint256) {
+        return verificationHistory.length;
+    }
+
     // 获取验证历史记录
     function getVerificationHistory(uint256 startIndex, uint256 count)
         external
@@ -209,7 +991,7 @@ contract PrivateAgeVerification is SepoliaConfig {
         onlyAuthorizedVerifier
         returns (VerificationResult[] memory)
     {
-        require(startIndex < verificationHistory.length, "Invalid start index");
+        if (startIndex >= verificationHistory.length) revert InvalidStartIndex(startIndex);
 
         uint256 endIndex = startIndex + count;
         if (endIndex > verificationHistory.length) {
@@ -226,7 +1008,71 @@ contract PrivateAgeVerification is SepoliaConfig {
 
     // 重置用户验证状态（仅限所有者）
     function resetUserVerification(address user) external onlyOwner {
+        // 作废进行中的解密请求，迟到的回调会被丢弃
+        decryptionPending[user] = false;
+        submissionNonces[user]++;
+
+        if (userVerifications[user].isVerified) {
+            totalVerifications--;
+        }
         delete userVerifications[user];
+        delete userRangeProofs[user];
+        delete userAttestations[user];
+        _removePending(user);
+        // 与用户自行删除一致，重新提交后旧的授权不会恢复
+        _clearConsumerAccess(user);
+    }
+
+    // 获取待完成验证的用户数量
+    function getPendingVerificationCount() external view returns (uint256) {
+        return pendingUsers.length;
+    }
+
+    // 获取待完成验证的用户及提交时间
+    function getPendingVerifications(uint256 startIndex, uint256 count)
+        external
+        view
+        onlyAuthorizedVerifier
+        returns (address[] memory users, uint256[] memory timestamps)
+    {
+        if (startIndex >= pendingUsers.length) revert InvalidStartIndex(startIndex);
+
+        uint256 endIndex = startIndex + count;
+        if (endIndex > pendingUsers.length) {
+            endIndex = pendingUsers.length;
+        }
+
+        users = new address[](endIndex - startIndex);
+        timestamps = new uint256[](endIndex - startIndex);
+        for (uint256 i = startIndex; i < endIndex; i++) {
+            users[i - startIndex] = pendingUsers[i];
+            timestamps[i - startIndex] = userVerifications[pendingUsers[i]].timestamp;
+        }
+
+        return (users, timestamps);
+    }
+
+    function _addPending(address user) private {
+        if (pendingVerifications[user]) return;
+
+        pendingUsers.push(user);
+        pendingUserIndex[user] = pendingUsers.length;
+        pendingVerifications[user] = true;
+    }
+
+    // 交换删除，保持待处理列表紧凑
+    function _removePending(address user) private {
+        if (!pendingVerifications[user]) return;
+
+        uint256 index = pendingUserIndex[user] - 1;
+        address last = pendingUsers[pendingUsers.length - 1];
+
+        pendingUsers[index] = last;
+        pendingUserIndex[last] = index + 1;
+        pendingUsers.pop();
+
+        delete pendingUserIndex[user];
+        pendingVerifications[user] = false;
     }
 
     // 检查是否为授权验证者
@@ -238,7 +1084,7 @@ contract PrivateAgeVerification is SepoliaConfig {
     bool public emergencyPaused = false;
 
     modifier whenNotPaused() {
-        require(!emergencyPaused, "Contract is paused");
+        if (emergencyPaused) revert ContractPaused();
         _;
     }
 
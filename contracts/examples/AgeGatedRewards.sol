@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IPrivateAgeVerification } from "../IPrivateAgeVerification.sol";
+
+// 示例消费合约：按加密成年标志发放奖励
+// 成年用户获得 ADULT_REWARD，其他用户获得 0；合约和观察者都无法得知用户领取了哪一档
+contract AgeGatedRewards is SepoliaConfig {
+
+    IPrivateAgeVerification public immutable ageVerification;
+
+    uint64 public constant ADULT_REWARD = 100;
+    uint256 public constant CLAIM_INTERVAL = 1 days;
+
+    mapping(address => euint64) private balances;
+    mapping(address => uint256) public lastClaimAt;
+
+    event RewardClaimed(address indexed user, uint256 timestamp);
+
+    error InvalidVerificationContract();
+    error ClaimIntervalNotReached(uint256 nextClaimAt);
+
+    constructor(address ageVerificationAddress) {
+        if (ageVerificationAddress == address(0)) revert InvalidVerificationContract();
+        ageVerification = IPrivateAgeVerification(ageVerificationAddress);
+    }
+
+    // 领取奖励（需先在验证合约中授权本合约）
+    function claimReward() external {
+        uint256 nextClaimAt = lastClaimAt[msg.sender] + CLAIM_INTERVAL;
+        if (block.timestamp < nextClaimAt) revert ClaimIntervalNotReached(nextClaimAt);
+        lastClaimAt[msg.sender] = block.timestamp;
+
+        ebool isAdult = ageVerification.getEncryptedAdultFlag(msg.sender);
+
+        // 在密文上分支：不成年时奖励为0，结果不泄露年龄
+        euint64 reward = FHE.select(isAdult, FHE.asEuint64(ADULT_REWARD), FHE.asEuint64(0));
+        euint64 balance = FHE.add(balances[msg.sender], reward);
+
+        FHE.allowThis(balance);
+        FHE.allow(balance, msg.sender);
+        balances[msg.sender] = balance;
+
+        emit RewardClaimed(msg.sender, block.timestamp);
+    }
+
+    // 获取加密余额，仅用户本人可解密
+    function getBalance(address user) external view returns (euint64) {
+        return balances[user];
+    }
+}
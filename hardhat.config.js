@@ -0,0 +1,26 @@
+require('@fhevm/hardhat-plugin');
+require('@nomicfoundation/hardhat-chai-matchers');
+require('@nomicfoundation/hardhat-ethers');
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+    solidity: {
+        version: '0.8.24',
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            // FHEVM requires at least the cancun EVM version
+            evmVersion: 'cancun'
+        }
+    },
+    networks: {
+        hardhat: {
+            chainId: 31337
+        },
+        // Used by `npm run deploy:sepolia`; set SEPOLIA_RPC_URL and PRIVATE_KEY in the environment
+        sepolia: {
+            url: process.env.SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com',
+            chainId: 11155111,
+            accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
+        }
+    }
+};
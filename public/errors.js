@@ -0,0 +1,347 @@
+// Private Age Verification - Error Decoding
+// Turns contract custom errors, EIP-1193 wallet codes and ethers.js errors into
+// { code, message, action } so every screen can tell the user what went wrong and what to do next.
+// Wrapped so that partner pages only gain the PrivateAgeErrors global.
+
+(function () {
+    // Must match the `error` declarations in PrivateAgeVerification.sol
+    const CONTRACT_ERRORS_ABI = [
+        'error NotOwner()',
+        'error NotAuthorizedVerifier()',
+        'error ContractPaused()',
+        'error AgeAlreadySubmitted(address user)',
+        'error AgeNotSubmitted(address user)',
+        'error DecryptionAlreadyPending(address user)',
+        'error ResubmissionCooldownActive(uint256 availableAt)',
+        'error ConsumerNotContract(address consumer)',
+        'error ConsumerAccessAlreadyGranted(address user, address consumer)',
+        'error ConsumerAccessNotGranted(address user, address consumer)',
+        'error VerificationNotValid(address user)',
+        'error VerificationNotCompleted(address user)',
+        'error VerificationAlreadyCompleted(address user)',
+        'error VerificationAlreadyRevoked(address user)',
+        'error RevocationReasonRequired()',
+        'error UnknownDecryptionRequest(uint256 requestId)',
+        'error InvalidAgeRange(uint8 minAge, uint8 maxAge)',
+        'error InvalidProofId(uint256 proofId)',
+        'error CannotCompareWithSelf()',
+        'error InvalidRequestId(uint256 requestId)',
+        'error NotRequestTarget(uint256 requestId)',
+        'error NotRequestOwner(uint256 requestId)',
+        'error RequestNotPending(uint256 requestId)',
+        'error RequestNotApproved(uint256 requestId)',
+        'error RequestExpired(uint256 requestId, uint256 expiresAt)',
+        'error InvalidComparisonId(uint256 comparisonId)',
+        'error PolicyNameRequired()',
+        'error InvalidPolicyId(uint256 policyId)',
+        'error PolicyNotEvaluated(address user, uint256 policyId)',
+        'error PolicyVerificationAlreadyCompleted(address user, uint256 policyId)',
+        'error PolicyNotSatisfied(address user, uint256 policyId)',
+        'error InvalidAttestationPeriod(uint256 issuedAt, uint256 expiresAt)',
+        'error InvalidAttestationId(uint256 index)',
+        'error InvalidSignature()',
+        'error InvalidVerifierAddress()',
+        'error CannotRemoveOwner()',
+        'error InvalidStartIndex(uint256 startIndex)'
+    ];
+
+    const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+    const formatTime = (seconds) => new Date(Number(seconds) * 1000).toLocaleString();
+
+    // `context.account` is the connected address, used to tell "you" apart from another user
+    const isAccount = (address, context) =>
+        Boolean(context.account) && address.toLowerCase() === context.account.toLowerCase();
+
+    // Each entry receives the decoded error arguments and the caller's context
+    const CONTRACT_ERROR_MESSAGES = {
+        NotOwner: () => ({
+            message: 'Only the contract owner can do this.',
+            action: 'Switch to the owner account in your wallet.'
+        }),
+        NotAuthorizedVerifier: () => ({
+            message: 'Only an authorized verifier can do this.',
+            action: 'Switch to a verifier account, or ask the owner to authorize this one.'
+        }),
+        ContractPaused: () => ({
+            message: 'The contract is paused for maintenance.',
+            action: 'Try again once the owner has unpaused it.'
+        }),
+        AgeAlreadySubmitted: () => ({
+            message: 'You have already submitted a birth date.',
+            action: 'Use "Replace Submission" to change it.'
+        }),
+        AgeNotSubmitted: ([user], context) => isAccount(user, context)
+            ? { message: 'You have not submitted a birth date yet.', action: 'Submit your encrypted birth date first.' }
+            : { message: `${shortAddress(user)} has not submitted a birth date.`, action: 'Ask them to submit one first.' },
+        DecryptionAlreadyPending: () => ({
+            message: 'A decryption is already in progress for this record.',
+            action: 'Wait for the oracle to publish the result, then try again.'
+        }),
+        ResubmissionCooldownActive: ([availableAt]) => ({
+            message: 'Your submission is still in its cooldown period.',
+            action: `You can replace it after ${formatTime(availableAt)}.`
+        }),
+        ConsumerNotContract: () => ({
+            message: 'That address is not a contract.',
+            action: 'Access can only be granted to deployed contracts. Check the address.'
+        }),
+        ConsumerAccessAlreadyGranted: () => ({
+            message: 'This contract already has access to your result.',
+            action: 'No change is needed.'
+        }),
+        ConsumerAccessNotGranted: () => ({
+            message: 'This contract does not have access to the result.',
+            action: 'Grant access from the Contract Access card first.'
+        }),
+        VerificationNotValid: () => ({
+            message: 'The verification has expired or was revoked.',
+            action: 'Request a new verification.'
+        }),
+        VerificationNotCompleted: () => ({
+            message: 'This verification has not been completed yet.',
+            action: 'Complete the verification before revoking it.'
+        }),
+        VerificationAlreadyCompleted: () => ({
+            message: 'This verification is already completed.',
+            action: 'It can be completed again once it expires or is revoked.'
+        }),
+        VerificationAlreadyRevoked: () => ({
+            message: 'This verification has already been revoked.',
+            action: 'No change is needed.'
+        }),
+        RevocationReasonRequired: () => ({
+            message: 'A revocation reason is required.',
+            action: 'Choose a reason and try again.'
+        }),
+        UnknownDecryptionRequest: () => ({
+            message: 'The decryption request is unknown.',
+            action: 'It may already have been processed. Refresh the page.'
+        }),
+        InvalidAgeRange: ([minAge, maxAge]) => ({
+            message: `The age range ${minAge}-${maxAge} is not valid.`,
+            action: 'Use ages between 1 and 120, with the minimum no higher than the maximum.'
+        }),
+        InvalidProofId: () => ({
+            message: 'That range proof does not exist.',
+            action: 'Refresh your range proofs and try again.'
+        }),
+        CannotCompareWithSelf: () => ({
+            message: 'You cannot compare ages with yourself.',
+            action: 'Enter another user\'s address.'
+        }),
+        InvalidRequestId: () => ({
+            message: 'That comparison request does not exist.',
+            action: 'Refresh the comparison requests and try again.'
+        }),
+        NotRequestTarget: () => ({
+            message: 'This comparison request was sent to a different account.',
+            action: 'Switch to the account the request was sent to.'
+        }),
+        NotRequestOwner: () => ({
+            message: 'Only the account that sent this comparison request can run it.',
+            action: 'Switch to the requesting account.'
+        }),
+        RequestNotPending: () => ({
+            message: 'This comparison request has already been answered.',
+            action: 'Refresh the comparison requests.'
+        }),
+        RequestNotApproved: () => ({
+            message: 'This comparison request has not been approved.',
+            action: 'Wait for the other user to approve it.'
+        }),
+        RequestExpired: ([, expiresAt]) => ({
+            message: `This comparison request expired on ${formatTime(expiresAt)}.`,
+            action: 'Send a new request.'
+        }),
+        InvalidComparisonId: () => ({
+            message: 'That comparison does not exist.',
+            action: 'Refresh your comparisons and try again.'
+        }),
+        PolicyNameRequired: () => ({
+            message: 'The policy needs a name.',
+            action: 'Enter a name and try again.'
+        }),
+        InvalidPolicyId: () => ({
+            message: 'That age policy does not exist.',
+            action: 'Refresh the policy list and choose another.'
+        }),
+        PolicyNotEvaluated: () => ({
+            message: 'This policy has not been evaluated yet.',
+            action: 'Evaluate the policy first.'
+        }),
+        PolicyVerificationAlreadyCompleted: () => ({
+            message: 'The result for this policy is already published.',
+            action: 'Re-evaluate the policy to publish a fresh result.'
+        }),
+        PolicyNotSatisfied: ([user]) => ({
+            message: `${shortAddress(user)} has no published result satisfying this policy.`,
+            action: 'The user must evaluate the policy and publish a passing result first.'
+        }),
+        InvalidAttestationPeriod: () => ({
+            message: 'The attestation validity period is not valid.',
+            action: 'Check that your computer clock is correct and try again.'
+        }),
+        InvalidAttestationId: () => ({
+            message: 'That attestation does not exist.',
+            action: 'Refresh your attestations and try again.'
+        }),
+        InvalidSignature: () => ({
+            message: 'The signature is not valid for this account.',
+            action: 'Sign again with the account that sends the transaction.'
+        }),
+        InvalidVerifierAddress: () => ({
+            message: 'The verifier address is not valid.',
+            action: 'Enter a non-zero address.'
+        }),
+        CannotRemoveOwner: () => ({
+            message: 'The owner cannot be removed as a verifier.',
+            action: 'Choose a different address.'
+        }),
+        InvalidStartIndex: () => ({
+            message: 'There are no entries at that position.',
+            action: 'Refresh the list and try again.'
+        })
+    };
+
+    // EIP-1193 provider errors and common JSON-RPC errors returned by wallets
+    const WALLET_ERROR_MESSAGES = {
+        4001: { message: 'Request rejected in your wallet.', action: 'Approve the request to continue.' },
+        4100: { message: 'This account is not authorized in your wallet.', action: 'Reconnect your wallet and approve this site.' },
+        4200: { message: 'Your wallet does not support this request.', action: 'Try a different wallet.' },
+        4900: { message: 'Your wallet is disconnected.', action: 'Reconnect your wallet.' },
+        4901: { message: 'Your wallet is not connected to the selected network.', action: 'Switch networks in your wallet.' },
+        4902: { message: 'This network has not been added to your wallet.', action: 'Add the network in your wallet, then try again.' },
+        [-32002]: { message: 'Your wallet is already processing a request.', action: 'Open your wallet to finish or dismiss it.' },
+        [-32003]: { message: 'Your wallet rejected the transaction.', action: 'Check the transaction details and try again.' },
+        [-32005]: { message: 'The network is rate limiting requests.', action: 'Wait a moment and try again.' },
+        [-32603]: { message: 'Your wallet reported an internal error.', action: 'Reload the page and try again.' }
+    };
+
+    // ethers.js v6 error codes
+    const ETHERS_ERROR_MESSAGES = {
+        ACTION_REJECTED: WALLET_ERROR_MESSAGES[4001],
+        INSUFFICIENT_FUNDS: { message: 'Not enough ETH to pay for gas.', action: 'Top up your account and try again.' },
+        NETWORK_ERROR: { message: 'Could not reach the network.', action: 'Check your connection and try again.' },
+        TIMEOUT: { message: 'The network did not respond in time.', action: 'Try again in a moment.' },
+        NONCE_EXPIRED: { message: 'This transaction was already sent.', action: 'Reset your wallet\'s pending transactions if this keeps happening.' },
+        REPLACEMENT_UNDERPRICED: { message: 'A pending transaction is blocking this one.', action: 'Wait for it to confirm, or speed it up in your wallet.' },
+        BAD_DATA: { message: 'The contract returned unexpected data.', action: 'Check that you are on the right network.' }
+    };
+
+    // Solidity panic codes (assert failures, overflow and similar bugs)
+    const PANIC_MESSAGE = {
+        message: 'The contract hit an internal error.',
+        action: 'Please report this along with the transaction details.'
+    };
+
+    let errorInterface = null;
+
+    function getErrorInterface(ethersLib) {
+        if (!errorInterface) {
+            errorInterface = new ethersLib.Interface(CONTRACT_ERRORS_ABI);
+        }
+        return errorInterface;
+    }
+
+    // Revert data can sit on the error itself or on a wrapped wallet/RPC error, depending on the wallet
+    function findRevertData(error, depth = 0) {
+        if (!error || typeof error !== 'object' || depth > 4) return null;
+
+        for (const key of ['data', 'error', 'info', 'cause']) {
+            const value = error[key];
+            if (typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value)) return value;
+            const nested = findRevertData(value, depth + 1);
+            if (nested) return nested;
+        }
+        return null;
+    }
+
+    function findWalletCode(error, depth = 0) {
+        if (!error || typeof error !== 'object' || depth > 4) return null;
+        if (typeof error.code === 'number' && WALLET_ERROR_MESSAGES[error.code]) return error.code;
+        return findWalletCode(error.error, depth + 1) || findWalletCode(error.info && error.info.error, depth + 1);
+    }
+
+    // Resolves any thrown value to { code, name, args, message, action, simulated }; never throws
+    function decodeError(error, context = {}) {
+        const ethersLib = context.ethers || (typeof window !== 'undefined' ? window.ethers : undefined);
+        const simulated = Boolean(error && error.simulated);
+        const result = (code, { message, action }, name = null, args = []) => ({ code, name, args, message, action, simulated });
+
+        if (!error) {
+            return result('UNKNOWN', { message: 'Unknown error.', action: 'Try again.' });
+        }
+
+        if (error.code === 'NO_WALLET') {
+            return result('NO_WALLET', { message: 'No Ethereum wallet detected.', action: 'Install MetaMask or another browser wallet.' });
+        }
+
+        // Rejections are checked first: some wallets wrap them in CALL_EXCEPTION-like errors
+        if (error.code === 'ACTION_REJECTED') {
+            return result(4001, ETHERS_ERROR_MESSAGES.ACTION_REJECTED);
+        }
+
+        const data = findRevertData(error);
+        if (data && ethersLib) {
+            try {
+                const parsed = getErrorInterface(ethersLib).parseError(data);
+                if (parsed && CONTRACT_ERROR_MESSAGES[parsed.name]) {
+                    const args = [...parsed.args];
+                    return result(parsed.name, CONTRACT_ERROR_MESSAGES[parsed.name](args, context), parsed.name, args);
+                }
+                if (parsed && parsed.name === 'Error') {
+                    return result('REVERT', { message: `${parsed.args[0]}.`, action: 'Check the details and try again.' }, 'Error', [...parsed.args]);
+                }
+                if (parsed && parsed.name === 'Panic') {
+                    return result('PANIC', PANIC_MESSAGE, 'Panic', [...parsed.args]);
+                }
+            } catch (parseError) {
+                // Unknown selector: fall through to the generic messages below
+            }
+        }
+
+        const walletCode = findWalletCode(error);
+        if (walletCode !== null) {
+            return result(walletCode, WALLET_ERROR_MESSAGES[walletCode]);
+        }
+
+        if (ETHERS_ERROR_MESSAGES[error.code]) {
+            return result(error.code, ETHERS_ERROR_MESSAGES[error.code]);
+        }
+
+        if (error.code === 'CALL_EXCEPTION') {
+            return result('CALL_EXCEPTION', {
+                message: error.reason ? `${error.reason}.` : 'The contract rejected this call.',
+                action: 'Check that you are on the right network and that the inputs are correct.'
+            });
+        }
+
+        return result(error.code || 'UNKNOWN', {
+            message: error.shortMessage || error.message || 'Unknown error.',
+            action: ''
+        });
+    }
+
+    // One-line form for toasts and status messages
+    function describeError(error, context = {}) {
+        const { message, action, simulated } = decodeError(error, context);
+        const note = simulated ? ' Nothing was sent, so no gas was spent.' : '';
+        return [message, action].filter(Boolean).join(' ') + note;
+    }
+
+    const PrivateAgeErrors = {
+        CONTRACT_ERRORS_ABI,
+        CONTRACT_ERROR_MESSAGES,
+        WALLET_ERROR_MESSAGES,
+        decodeError,
+        describeError
+    };
+
+    if (typeof window !== 'undefined') {
+        window.PrivateAgeErrors = PrivateAgeErrors;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PrivateAgeErrors;
+    }
+})();
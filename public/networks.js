@@ -0,0 +1,85 @@
+// Private Age Verification - Network Registry
+// Chain parameters and deployment addresses for every supported network.
+// Select a network with ?network=<key>; the dApp, age gate and attestation verifier all read from here.
+
+const AGE_VERIFICATION_NETWORKS = {
+    sepolia: {
+        key: 'sepolia',
+        name: 'Sepolia Testnet',
+        chainId: 11155111,
+        chainIdHex: '0xaa36a7',
+        chainName: 'Sepolia Test Network',
+        nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com', 'https://rpc.sepolia.org'],
+        blockExplorerUrls: ['https://sepolia.etherscan.io'],
+        // Original deployment: it predates the current contract interface and must be replaced.
+        // Redeploy with `npm run deploy:sepolia` and put the printed address here.
+        contractAddress: '0x9A963da94E929E49c2a102fab47418Dc3b82Ee6C',
+        // Blocks a transaction must be buried under before it is shown as successful
+        confirmations: 2,
+        // Name of the relayer SDK preset, or a full createInstance config object
+        fhevm: 'SepoliaConfig'
+    },
+    localhost: {
+        key: 'localhost',
+        name: 'Local Hardhat Node',
+        chainId: 31337,
+        chainIdHex: '0x7a69',
+        chainName: 'Hardhat Localhost',
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: ['http://127.0.0.1:8545'],
+        blockExplorerUrls: [],
+        // First contract deployed by the default Hardhat account
+        contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+        confirmations: 1,
+        // Set to the local node's FHEVM contract addresses to enable client-side encryption
+        fhevm: null
+    }
+};
+
+const DEFAULT_NETWORK_KEY = 'sepolia';
+
+function getNetworkConfig(key = DEFAULT_NETWORK_KEY) {
+    const network = AGE_VERIFICATION_NETWORKS[key];
+    if (!network) {
+        throw new Error(`Unknown network "${key}". Available: ${Object.keys(AGE_VERIFICATION_NETWORKS).join(', ')}`);
+    }
+    return network;
+}
+
+function getNetworkByChainId(chainId) {
+    return Object.values(AGE_VERIFICATION_NETWORKS).find(network => network.chainId === Number(chainId)) || null;
+}
+
+// Reads ?network=<key> from the page URL, falling back to the default for unknown keys
+function resolveNetworkKey(search = typeof window !== 'undefined' ? window.location.search : '') {
+    const key = new URLSearchParams(search).get('network');
+    return key && AGE_VERIFICATION_NETWORKS[key] ? key : DEFAULT_NETWORK_KEY;
+}
+
+function getExplorerUrl(network, type, value) {
+    const [explorer] = network.blockExplorerUrls;
+    return explorer ? `${explorer}/${type}/${value}` : null;
+}
+
+if (typeof window !== 'undefined') {
+    window.PrivateAgeNetworks = {
+        AGE_VERIFICATION_NETWORKS,
+        DEFAULT_NETWORK_KEY,
+        getNetworkConfig,
+        getNetworkByChainId,
+        resolveNetworkKey,
+        getExplorerUrl
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AGE_VERIFICATION_NETWORKS,
+        DEFAULT_NETWORK_KEY,
+        getNetworkConfig,
+        getNetworkByChainId,
+        resolveNetworkKey,
+        getExplorerUrl
+    };
+}
@@ -0,0 +1,107 @@
+// Private Age Verification - Wallet Connectors
+// Discovers wallets through EIP-6963 and keeps a registry of pluggable EIP-1193 connectors.
+// A connector is { id, name, icon, provider } where provider implements request({ method, params }).
+
+const LEGACY_INJECTED_ID = 'injected';
+
+function createConnector({ id, name, icon = null, provider }) {
+    if (!id || !name) {
+        throw new Error('Connector id and name are required');
+    }
+    if (!provider || typeof provider.request !== 'function') {
+        throw new Error(`Connector "${id}" does not expose an EIP-1193 provider`);
+    }
+    return { id, name, icon, provider };
+}
+
+class WalletConnectorRegistry {
+    constructor(options = {}) {
+        this.target = options.target || (typeof window !== 'undefined' ? window : null);
+        this.connectors = new Map();
+        this.listeners = new Set();
+        this.handleAnnouncement = this.handleAnnouncement.bind(this);
+    }
+
+    register(connector) {
+        const entry = createConnector(connector);
+        this.connectors.set(entry.id, entry);
+
+        // A wallet announced through EIP-6963 supersedes the same wallet found on window.ethereum
+        if (entry.id !== LEGACY_INJECTED_ID && this.connectors.has(LEGACY_INJECTED_ID) &&
+            this.connectors.get(LEGACY_INJECTED_ID).provider === entry.provider) {
+            this.connectors.delete(LEGACY_INJECTED_ID);
+        }
+
+        this.notify();
+        return entry;
+    }
+
+    unregister(id) {
+        if (this.connectors.delete(id)) this.notify();
+    }
+
+    get(id) {
+        return this.connectors.get(id) || null;
+    }
+
+    list() {
+        return [...this.connectors.values()];
+    }
+
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notify() {
+        const connectors = this.list();
+        this.listeners.forEach(callback => callback(connectors));
+    }
+
+    // Resolves after `timeout` ms with every wallet found so far; late announcements still register
+    discover(timeout = 300) {
+        if (!this.target) return Promise.resolve(this.list());
+
+        this.target.addEventListener('eip6963:announceProvider', this.handleAnnouncement);
+        this.target.dispatchEvent(new Event('eip6963:requestProvider'));
+
+        const legacy = this.target.ethereum;
+        if (legacy && typeof legacy.request === 'function' &&
+            !this.list().some(connector => connector.provider === legacy)) {
+            this.register({ id: LEGACY_INJECTED_ID, name: 'Browser Wallet', provider: legacy });
+        }
+
+        return new Promise(resolve => setTimeout(() => resolve(this.list()), timeout));
+    }
+
+    stopDiscovery() {
+        if (this.target) {
+            this.target.removeEventListener('eip6963:announceProvider', this.handleAnnouncement);
+        }
+    }
+
+    handleAnnouncement(event) {
+        const { info, provider } = event.detail || {};
+        if (!info || !info.rdns) return;
+
+        try {
+            this.register({
+                id: info.rdns,
+                name: info.name,
+                // Only data: image URIs are allowed by the spec; anything else is dropped
+                icon: typeof info.icon === 'string' && info.icon.startsWith('data:image/') ? info.icon : null,
+                provider
+            });
+        } catch (error) {
+            console.warn('Ignoring wallet announcement:', error.message);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PrivateAgeWallets = { WalletConnectorRegistry, createConnector, LEGACY_INJECTED_ID };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WalletConnectorRegistry, createConnector, LEGACY_INJECTED_ID };
+}
@@ -0,0 +1,18 @@
+// Deploys PrivateAgeVerification and prints the address to put in networks.js
+const hre = require('hardhat');
+
+async function main() {
+    const [deployer] = await hre.ethers.getSigners();
+    console.log(`Deploying PrivateAgeVerification to ${hre.network.name} from ${deployer.address}`);
+
+    const contract = await hre.ethers.deployContract('PrivateAgeVerification');
+    await contract.waitForDeployment();
+
+    console.log(`PrivateAgeVerification deployed at ${await contract.getAddress()}`);
+    console.log(`Set contractAddress for '${hre.network.name}' in networks.js to this address.`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const { ethers, fhevm } = require('hardhat');
+const { FhevmType } = require('@fhevm/hardhat-plugin');
+const { deployAgeVerification, submitBirthDate, yearsAgo } = require('./helpers');
+
+describe('IPrivateAgeVerification consumers', function () {
+    let verification;
+    let rewards;
+    let rewardsAddress;
+    let adult;
+    let minor;
+
+    async function deployRewards() {
+        const consumer = await ethers.deployContract('AgeGatedRewards', [await verification.getAddress()]);
+        await consumer.waitForDeployment();
+        return consumer;
+    }
+
+    async function claimedBalance(user) {
+        const handle = await rewards.getBalance(user.address);
+        return fhevm.userDecryptEuint(FhevmType.euint64, handle, rewardsAddress, user);
+    }
+
+    beforeEach(async function () {
+        let users;
+        ({ contract: verification, users } = await deployAgeVerification());
+        [adult, minor] = users;
+
+        rewards = await deployRewards();
+        rewardsAddress = await rewards.getAddress();
+
+        await submitBirthDate(verification, adult, yearsAgo(30));
+        await submitBirthDate(verification, minor, yearsAgo(12));
+    });
+
+    it('gives a granted consumer a usable handle', async function () {
+        await (await verification.connect(adult).grantConsumerAccess(rewardsAddress)).wait();
+
+        // The transient handle is only usable inside the consumer's own transaction
+        await expect(rewards.connect(adult).claimReward()).to.emit(rewards, 'RewardClaimed');
+        expect(await verification.getGrantedConsumers(adult.address)).to.deep.equal([rewardsAddress]);
+    });
+
+    it('pays the adult reward through FHE.select', async function () {
+        await (await verification.connect(adult).grantConsumerAccess(rewardsAddress)).wait();
+        await (await rewards.connect(adult).claimReward()).wait();
+
+        expect(await claimedBalance(adult)).to.equal(await rewards.ADULT_REWARD());
+    });
+
+    it('pays zero to a non-adult through FHE.select', async function () {
+        await (await verification.connect(minor).grantConsumerAccess(rewardsAddress)).wait();
+        await (await rewards.connect(minor).claimReward()).wait();
+
+        expect(await claimedBalance(minor)).to.equal(0n);
+    });
+
+    it('reverts for a consumer that was never granted access', async function () {
+        await expect(rewards.connect(adult).claimReward())
+            .to.be.revertedWithCustomError(verification, 'ConsumerAccessNotGranted')
+            .withArgs(adult.address, rewardsAddress);
+    });
+
+    it('reverts for a consumer whose access was revoked', async function () {
+        await (await verification.connect(adult).grantConsumerAccess(rewardsAddress)).wait();
+        await (await verification.connect(adult).revokeConsumerAccess(rewardsAddress)).wait();
+
+        await expect(rewards.connect(adult).claimReward())
+            .to.be.revertedWithCustomError(verification, 'ConsumerAccessNotGranted');
+        expect(await verification.getGrantedConsumers(adult.address)).to.deep.equal([]);
+    });
+
+    it('does not restore grants after delete and resubmit', async function () {
+        const other = await deployRewards();
+        await (await verification.connect(adult).grantConsumerAccess(rewardsAddress)).wait();
+        await (await verification.connect(adult).grantConsumerAccess(await other.getAddress())).wait();
+
+        await (await verification.connect(adult).deleteMyVerification()).wait();
+        await submitBirthDate(verification, adult, yearsAgo(30));
+
+        expect(await verification.getGrantedConsumers(adult.address)).to.deep.equal([]);
+        expect(await verification.consumerAccess(adult.address, rewardsAddress)).to.equal(false);
+        await expect(rewards.connect(adult).claimReward())
+            .to.be.revertedWithCustomError(verification, 'ConsumerAccessNotGranted');
+    });
+
+    it('does not restore grants after an owner reset and resubmit', async function () {
+        await (await verification.connect(adult).grantConsumerAccess(rewardsAddress)).wait();
+
+        await (await verification.resetUserVerification(adult.address)).wait();
+        await submitBirthDate(verification, adult, yearsAgo(30));
+
+        expect(await verification.getGrantedConsumers(adult.address)).to.deep.equal([]);
+        expect(await verification.consumerAccess(adult.address, rewardsAddress)).to.equal(false);
+        await expect(rewards.connect(adult).claimReward())
+            .to.be.revertedWithCustomError(verification, 'ConsumerAccessNotGranted');
+    });
+
+    it('only accepts contracts as consumers', async function () {
+        await expect(verification.connect(adult).grantConsumerAccess(minor.address))
+            .to.be.revertedWithCustomError(verification, 'ConsumerNotContract')
+            .withArgs(minor.address);
+    });
+});
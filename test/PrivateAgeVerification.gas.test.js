@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+const { deployAgeVerification, submitBirthDate, completeVerification, yearsAgo } = require('./helpers');
+
+const HISTORY_SIZE = 12;
+const POLICY_COUNT = 20;
+
+describe('PrivateAgeVerification isUserAdult gas', function () {
+    it('costs the same with 1 and with many history entries', async function () {
+        const { contract, owner, users } = await deployAgeVerification();
+        const [first, ...others] = users.slice(0, HISTORY_SIZE);
+
+        await submitBirthDate(contract, first, yearsAgo(30));
+        await completeVerification(contract, owner, first);
+        expect(await contract.getVerificationHistoryCount()).to.equal(1n);
+
+        const gasAtOne = await contract.isUserAdult.estimateGas(first.address);
+
+        for (const user of others) {
+            await submitBirthDate(contract, user, yearsAgo(user === others[0] ? 10 : 25));
+            await completeVerification(contract, owner, user);
+        }
+        expect(await contract.getVerificationHistoryCount()).to.equal(BigInt(HISTORY_SIZE));
+
+        const gasAtManyFirst = await contract.isUserAdult.estimateGas(first.address);
+        const gasAtManyLast = await contract.isUserAdult.estimateGas(others[others.length - 1].address);
+
+        expect(gasAtManyFirst).to.equal(gasAtOne);
+        expect(gasAtManyLast).to.equal(gasAtOne);
+        expect(await contract.isUserAdult(first.address)).to.deep.equal([true, true]);
+        expect(await contract.isUserAdult(others[0].address)).to.deep.equal([true, false]);
+    });
+});
+
+describe('PrivateAgeVerification deleteMyVerification gas', function () {
+    it('costs the same however many policies exist', async function () {
+        const { contract, users } = await deployAgeVerification();
+        const [alice] = users;
+
+        await submitBirthDate(contract, alice, yearsAgo(30));
+        const gasAtDefault = await contract.connect(alice).deleteMyVerification.estimateGas();
+
+        for (let i = 0; i < POLICY_COUNT; i++) {
+            await (await contract.createAgePolicy(`Policy ${i}`, 21, 0)).wait();
+        }
+
+        const gasAtMany = await contract.connect(alice).deleteMyVerification.estimateGas();
+        expect(gasAtMany).to.equal(gasAtDefault);
+    });
+});
@@ -0,0 +1,349 @@
+const { expect } = require('chai');
+const { ethers, fhevm } = require('hardhat');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+    deployAgeVerification,
+    submitBirthDate,
+    resubmitBirthDate,
+    completeVerification,
+    yearsAgo
+} = require('./helpers');
+const { AgeAttestationVerifier } = require('../attestation.js');
+
+const ADULT_POLICY_ID = 2;
+
+describe('PrivateAgeVerification', function () {
+    let contract;
+    let owner;
+    let alice;
+
+    beforeEach(async function () {
+        let users;
+        ({ contract, owner, users } = await deployAgeVerification());
+        [alice] = users;
+    });
+
+    describe('verification callback', function () {
+        it('completes the record it was requested for', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await completeVerification(contract, owner, alice);
+
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([true, true]);
+            expect(await contract.decryptionPending(alice.address)).to.equal(false);
+        });
+
+        it('discards a result that arrives after the record was reset', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await (await contract.completeVerificationForUser(alice.address)).wait();
+
+            await (await contract.resetUserVerification(alice.address)).wait();
+            expect(await contract.decryptionPending(alice.address)).to.equal(false);
+
+            await submitBirthDate(contract, alice, yearsAgo(12));
+            await fhevm.awaitDecryptionOracle();
+
+            const [, completed] = await contract.getUserVerificationStatus(alice.address);
+            expect(completed).to.equal(false);
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([false, false]);
+            expect(await contract.getVerificationHistoryCount()).to.equal(0n);
+        });
+
+        it('accepts only the fresh request when a stale one is still outstanding', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await (await contract.completeVerificationForUser(alice.address)).wait();
+            await (await contract.resetUserVerification(alice.address)).wait();
+
+            await submitBirthDate(contract, alice, yearsAgo(12));
+            await completeVerification(contract, owner, alice);
+
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([true, false]);
+            expect(await contract.getVerificationHistoryCount()).to.equal(1n);
+        });
+
+        it('lets the user delete while a decryption is pending', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await (await contract.completeVerificationForUser(alice.address)).wait();
+
+            await (await contract.connect(alice).deleteMyVerification()).wait();
+            expect(await contract.decryptionPending(alice.address)).to.equal(false);
+
+            await fhevm.awaitDecryptionOracle();
+
+            const [hasSubmitted, completed] = await contract.getUserVerificationStatus(alice.address);
+            expect(hasSubmitted).to.equal(false);
+            expect(completed).to.equal(false);
+            expect(await contract.getVerificationHistoryCount()).to.equal(0n);
+        });
+
+        it('lets the user resubmit while a decryption is pending', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await (await contract.completeVerificationForUser(alice.address)).wait();
+
+            await time.increase(await contract.RESUBMISSION_COOLDOWN());
+            await resubmitBirthDate(contract, alice, yearsAgo(12));
+            expect(await contract.decryptionPending(alice.address)).to.equal(false);
+
+            await fhevm.awaitDecryptionOracle();
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([false, false]);
+
+            await completeVerification(contract, owner, alice);
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([true, false]);
+        });
+    });
+
+    describe('user count', function () {
+        it('does not grow across delete and resubmit cycles', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            expect(await contract.totalVerifications()).to.equal(1n);
+
+            for (let i = 0; i < 2; i++) {
+                await (await contract.connect(alice).deleteMyVerification()).wait();
+                expect(await contract.totalVerifications()).to.equal(0n);
+                await submitBirthDate(contract, alice, yearsAgo(30));
+            }
+
+            const [totalUsers] = await contract.getVerificationStats();
+            expect(totalUsers).to.equal(1n);
+        });
+
+        it('drops a user whose record is reset', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await (await contract.connect(alice).verifyAgeRange(18, 65)).wait();
+            await (await contract.resetUserVerification(alice.address)).wait();
+            expect(await contract.totalVerifications()).to.equal(0n);
+            expect(await contract.getRangeProofCount(alice.address)).to.equal(0n);
+
+            // Resetting an address without a record leaves the count unchanged
+            await (await contract.resetUserVerification(alice.address)).wait();
+            expect(await contract.totalVerifications()).to.equal(0n);
+        });
+    });
+
+    describe('revocation', function () {
+        const FRAUD = 1;
+
+        beforeEach(async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await completeVerification(contract, owner, alice);
+            await (await contract.revokeVerification(alice.address, FRAUD)).wait();
+        });
+
+        it('survives deleting the record', async function () {
+            await (await contract.connect(alice).deleteMyVerification()).wait();
+            await submitBirthDate(contract, alice, yearsAgo(30));
+
+            const [, revoked, reason] = await contract.getVerificationValidity(alice.address);
+            expect(revoked).to.equal(true);
+            expect(reason).to.equal(FRAUD);
+        });
+
+        it('survives a resubmission', async function () {
+            await time.increase(await contract.RESUBMISSION_COOLDOWN());
+            await resubmitBirthDate(contract, alice, yearsAgo(30));
+
+            const [, revoked, reason] = await contract.getVerificationValidity(alice.address);
+            expect(revoked).to.equal(true);
+            expect(reason).to.equal(FRAUD);
+        });
+
+        it('is not undone by a completion that was pending when it was revoked', async function () {
+            // Lift the revocation with a short-lived result; adult results can be re-requested once they expire
+            await (await contract.setVerificationValidityPeriod(3600)).wait();
+            await completeVerification(contract, owner, alice);
+            await time.increase(7200);
+
+            await (await contract.completeVerificationForUser(alice.address)).wait();
+            await (await contract.revokeVerification(alice.address, FRAUD)).wait();
+            expect(await contract.decryptionPending(alice.address)).to.equal(false);
+
+            await fhevm.awaitDecryptionOracle();
+
+            const [, revoked, reason] = await contract.getVerificationValidity(alice.address);
+            expect(revoked).to.equal(true);
+            expect(reason).to.equal(FRAUD);
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([false, false]);
+        });
+
+        it('is lifted only by a new completed verification', async function () {
+            await (await contract.connect(alice).deleteMyVerification()).wait();
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await completeVerification(contract, owner, alice);
+
+            const [, revoked] = await contract.getVerificationValidity(alice.address);
+            expect(revoked).to.equal(false);
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([true, true]);
+        });
+    });
+
+    describe('policy eligibility', function () {
+        async function publishAdultPolicy(user) {
+            await (await contract.connect(user).evaluatePolicy(ADULT_POLICY_ID)).wait();
+            await (await contract.connect(user).requestPolicyVerification(user.address, ADULT_POLICY_ID)).wait();
+            await fhevm.awaitDecryptionOracle();
+        }
+
+        beforeEach(async function () {
+            await (await contract.setVerificationValidityPeriod(3600)).wait();
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await completeVerification(contract, owner, alice);
+            await publishAdultPolicy(alice);
+            expect(await contract.isUserEligible(alice.address, ADULT_POLICY_ID)).to.deep.equal([true, true]);
+        });
+
+        it('is withdrawn when the verification expires', async function () {
+            await time.increase(7200);
+
+            expect(await contract.isUserEligible(alice.address, ADULT_POLICY_ID)).to.deep.equal([false, false]);
+            expect(await contract.isUserAdult(alice.address)).to.deep.equal([false, false]);
+        });
+
+        it('is withdrawn when the verification is revoked', async function () {
+            await (await contract.revokeVerification(alice.address, 1)).wait();
+
+            expect(await contract.isUserEligible(alice.address, ADULT_POLICY_ID)).to.deep.equal([false, false]);
+        });
+    });
+
+    describe('attestations', function () {
+        const ATTESTATION_TYPES = {
+            AgeAttestation: [
+                { name: 'subject', type: 'address' },
+                { name: 'policyId', type: 'uint256' },
+                { name: 'issuedAt', type: 'uint256' },
+                { name: 'expiresAt', type: 'uint256' }
+            ]
+        };
+
+        async function signAttestation(verifier, subject) {
+            const { timestamp } = await ethers.provider.getBlock('latest');
+            const message = { subject: subject.address, policyId: ADULT_POLICY_ID, issuedAt: timestamp, expiresAt: timestamp + 86400 };
+            const domain = {
+                name: 'PrivateAgeVerification',
+                version: '1',
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await contract.getAddress()
+            };
+            const signature = await verifier.signTypedData(domain, ATTESTATION_TYPES, message);
+            return { domain, message, signature, verifier: verifier.address };
+        }
+
+        async function issue(attestation) {
+            const { message, signature } = attestation;
+            await (await contract.issueAttestation(message.subject, message.policyId, message.issuedAt, message.expiresAt, signature)).wait();
+        }
+
+        beforeEach(async function () {
+            await (await contract.setVerificationValidityPeriod(3600)).wait();
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await completeVerification(contract, owner, alice);
+            await (await contract.connect(alice).evaluatePolicy(ADULT_POLICY_ID)).wait();
+            await (await contract.connect(alice).requestPolicyVerification(alice.address, ADULT_POLICY_ID)).wait();
+            await fhevm.awaitDecryptionOracle();
+        });
+
+        it('is issued for a valid verification', async function () {
+            const { message, signature } = await signAttestation(owner, alice);
+            await expect(contract.issueAttestation(message.subject, message.policyId, message.issuedAt, message.expiresAt, signature))
+                .to.emit(contract, 'AttestationIssued');
+            expect(await contract.getAttestationCount(alice.address)).to.equal(1n);
+        });
+
+        it('is refused once the verification has expired', async function () {
+            await time.increase(7200);
+
+            const { message, signature } = await signAttestation(owner, alice);
+            await expect(contract.issueAttestation(message.subject, message.policyId, message.issuedAt, message.expiresAt, signature))
+                .to.be.revertedWithCustomError(contract, 'VerificationNotValid')
+                .withArgs(alice.address);
+        });
+
+        it('is refused once the verification is revoked', async function () {
+            const { message, signature } = await signAttestation(owner, alice);
+            await (await contract.revokeVerification(alice.address, 1)).wait();
+
+            // Revoking also clears the published policy results
+            await expect(contract.issueAttestation(message.subject, message.policyId, message.issuedAt, message.expiresAt, signature))
+                .to.be.revertedWithCustomError(contract, 'PolicyNotSatisfied');
+            expect(await contract.getAttestationCount(alice.address)).to.equal(0n);
+        });
+
+        it('is withdrawn when the verification is revoked', async function () {
+            await issue(await signAttestation(owner, alice));
+            await (await contract.revokeVerification(alice.address, 1)).wait();
+
+            expect(await contract.getAttestationCount(alice.address)).to.equal(0n);
+        });
+
+        it('is withdrawn when the birth date is resubmitted', async function () {
+            await issue(await signAttestation(owner, alice));
+            await time.increase(await contract.RESUBMISSION_COOLDOWN());
+            await resubmitBirthDate(contract, alice, yearsAgo(12));
+
+            expect(await contract.getAttestationCount(alice.address)).to.equal(0n);
+        });
+
+        it('fails the on-chain check in verify() once the verification is revoked', async function () {
+            const attestation = await signAttestation(owner, alice);
+            await issue(attestation);
+
+            const checker = new AgeAttestationVerifier({
+                ethers,
+                chainId: attestation.domain.chainId,
+                contractAddress: await contract.getAddress(),
+                provider: ethers.provider
+            });
+            const now = attestation.message.issuedAt;
+
+            expect((await checker.verify(attestation, now)).valid).to.equal(true);
+
+            await (await contract.revokeVerification(alice.address, 1)).wait();
+
+            const result = await checker.verify(attestation, now);
+            expect(result.valid).to.equal(false);
+            expect(result.reason).to.equal('Subject is no longer eligible on-chain');
+        });
+    });
+
+    describe('policy verification callback', function () {
+        async function requestAdultPolicy(user) {
+            await (await contract.connect(user).evaluatePolicy(ADULT_POLICY_ID)).wait();
+            await (await contract.connect(user).requestPolicyVerification(user.address, ADULT_POLICY_ID)).wait();
+        }
+
+        it('publishes the result for the current submission', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await requestAdultPolicy(alice);
+            await fhevm.awaitDecryptionOracle();
+
+            const [, pending, completed] = await contract.getPolicyEvaluation(alice.address, ADULT_POLICY_ID);
+            expect(pending).to.equal(false);
+            expect(completed).to.equal(true);
+            expect(await contract.isUserEligible(alice.address, ADULT_POLICY_ID)).to.deep.equal([true, true]);
+        });
+
+        it('discards a result that arrives after a resubmission', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await requestAdultPolicy(alice);
+
+            await time.increase(await contract.RESUBMISSION_COOLDOWN());
+            await resubmitBirthDate(contract, alice, yearsAgo(12));
+            await fhevm.awaitDecryptionOracle();
+
+            const [evaluated, , completed] = await contract.getPolicyEvaluation(alice.address, ADULT_POLICY_ID);
+            expect(evaluated).to.equal(false);
+            expect(completed).to.equal(false);
+            expect(await contract.isUserEligible(alice.address, ADULT_POLICY_ID)).to.deep.equal([false, false]);
+        });
+
+        it('discards a result that arrives after delete and resubmit', async function () {
+            await submitBirthDate(contract, alice, yearsAgo(30));
+            await requestAdultPolicy(alice);
+
+            await (await contract.connect(alice).deleteMyVerification()).wait();
+            await submitBirthDate(contract, alice, yearsAgo(12));
+            await fhevm.awaitDecryptionOracle();
+
+            expect(await contract.isUserEligible(alice.address, ADULT_POLICY_ID)).to.deep.equal([false, false]);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { AgeAttestationVerifier, ATTESTATION_TYPES, getAttestationDomain } = require('../attestation.js');
+
+describe('AgeAttestationVerifier', function () {
+    const chainId = 31337;
+    const contractAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+    async function signedAttestation(signer) {
+        const now = Math.floor(Date.now() / 1000);
+        const domain = getAttestationDomain(chainId, contractAddress);
+        const message = { subject: signer.address, policyId: 2, issuedAt: now - 60, expiresAt: now + 3600 };
+        const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, message);
+        return { domain, message, signature, verifier: signer.address };
+    }
+
+    it('accepts an attestation from a listed verifier', async function () {
+        const [verifier] = await ethers.getSigners();
+        const checker = new AgeAttestationVerifier({ ethers, chainId, contractAddress, authorizedVerifiers: [verifier.address] });
+
+        const result = await checker.verify(await signedAttestation(verifier));
+        expect(result.valid).to.equal(true);
+    });
+
+    it('resolves as invalid instead of rejecting when the verifier lookup fails', async function () {
+        const [verifier] = await ethers.getSigners();
+        const unreachable = {
+            provider: null,
+            call: async () => {
+                throw new Error('connect ECONNREFUSED 127.0.0.1:8545');
+            }
+        };
+        const checker = new AgeAttestationVerifier({ ethers, chainId, contractAddress, provider: unreachable });
+
+        const result = await checker.verify(await signedAttestation(verifier));
+        expect(result.valid).to.equal(false);
+        expect(result.reason).to.match(/^Verifier lookup failed/);
+        expect(result.signer).to.equal(verifier.address);
+    });
+});
@@ -0,0 +1,55 @@
+const hre = require('hardhat');
+
+const { ethers, fhevm } = hre;
+
+// Birth dates are stored as month indexes: year * 12 + (month - 1)
+function birthMonthIndex(year, month = 1) {
+    return year * 12 + (month - 1);
+}
+
+function yearsAgo(years) {
+    return new Date().getUTCFullYear() - years;
+}
+
+async function deployAgeVerification() {
+    const [owner, ...users] = await ethers.getSigners();
+    const contract = await ethers.deployContract('PrivateAgeVerification', owner);
+    await contract.waitForDeployment();
+    await fhevm.assertCoprocessorInitialized(contract, 'PrivateAgeVerification');
+
+    return { contract, address: await contract.getAddress(), owner, users };
+}
+
+async function encryptBirthMonth(contract, user, year, month = 1) {
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), user.address);
+    input.add16(birthMonthIndex(year, month));
+    return input.encrypt();
+}
+
+async function submitBirthDate(contract, user, year, month = 1) {
+    const { handles, inputProof } = await encryptBirthMonth(contract, user, year, month);
+    const tx = await contract.connect(user).submitEncryptedBirthDate(handles[0], inputProof);
+    return tx.wait();
+}
+
+async function resubmitBirthDate(contract, user, year, month = 1) {
+    const { handles, inputProof } = await encryptBirthMonth(contract, user, year, month);
+    const tx = await contract.connect(user).resubmitEncryptedBirthDate(handles[0], inputProof);
+    return tx.wait();
+}
+
+// Requests public decryption of the adult flag and lets the mock oracle call back
+async function completeVerification(contract, verifier, user) {
+    await (await contract.connect(verifier).completeVerificationForUser(user.address)).wait();
+    await fhevm.awaitDecryptionOracle();
+}
+
+module.exports = {
+    birthMonthIndex,
+    yearsAgo,
+    deployAgeVerification,
+    encryptBirthMonth,
+    submitBirthDate,
+    resubmitBirthDate,
+    completeVerification
+};
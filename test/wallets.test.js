@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { WalletConnectorRegistry, LEGACY_INJECTED_ID } = require('../wallets.js');
+const { AgeGate } = require('../age-gate.js');
+
+// Minimal EIP-1193 provider: answers account and chain queries, rejects everything else
+function mockProvider(accounts = ['0x70997970C51812dc3A010C7d01b50e0d17dc79C8']) {
+    return {
+        request: async ({ method }) => {
+            if (method === 'eth_accounts' || method === 'eth_requestAccounts') return accounts;
+            if (method === 'eth_chainId') return '0x7a69';
+            throw Object.assign(new Error(`Unsupported method ${method}`), { code: 4200 });
+        }
+    };
+}
+
+function announce(target, provider, rdns = 'io.example.wallet') {
+    target.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+        detail: { info: { uuid: rdns, name: 'Example Wallet', icon: 'data:image/svg+xml,<svg/>', rdns }, provider }
+    }));
+}
+
+describe('WalletConnectorRegistry', function () {
+    let target;
+    let registry;
+
+    beforeEach(function () {
+        target = new EventTarget();
+        registry = new WalletConnectorRegistry({ target });
+    });
+
+    afterEach(function () {
+        registry.stopDiscovery();
+    });
+
+    it('registers a mock EIP-1193 provider', async function () {
+        const provider = mockProvider();
+        registry.register({ id: 'mock', name: 'Mock Wallet', provider });
+
+        const connector = registry.get('mock');
+        expect(connector.provider).to.equal(provider);
+        expect(await connector.provider.request({ method: 'eth_accounts' })).to.have.length(1);
+        expect(() => registry.register({ id: 'broken', name: 'Broken', provider: {} }))
+            .to.throw('does not expose an EIP-1193 provider');
+    });
+
+    it('registers a wallet announced through EIP-6963', async function () {
+        const provider = mockProvider();
+        target.addEventListener('eip6963:requestProvider', () => announce(target, provider));
+
+        const connectors = await registry.discover(0);
+
+        expect(connectors.map(connector => connector.id)).to.deep.equal(['io.example.wallet']);
+        expect(connectors[0].icon).to.equal('data:image/svg+xml,<svg/>');
+    });
+
+    it('drops the window.ethereum connector once the same wallet announces itself', async function () {
+        const provider = mockProvider();
+        target.ethereum = provider;
+
+        await registry.discover(0);
+        expect(registry.list().map(connector => connector.id)).to.deep.equal([LEGACY_INJECTED_ID]);
+
+        announce(target, provider);
+        expect(registry.list().map(connector => connector.id)).to.deep.equal(['io.example.wallet']);
+    });
+
+    it('keeps window.ethereum when it belongs to a different wallet', async function () {
+        target.ethereum = mockProvider();
+
+        await registry.discover(0);
+        announce(target, mockProvider());
+
+        expect(registry.list().map(connector => connector.id)).to.deep.equal([LEGACY_INJECTED_ID, 'io.example.wallet']);
+    });
+});
+
+describe('AgeGate wallet selection', function () {
+    it('uses an announced wallet instead of window.ethereum', async function () {
+        const target = new EventTarget();
+        const legacy = mockProvider();
+        const announced = mockProvider();
+        target.ethereum = legacy;
+        target.addEventListener('eip6963:requestProvider', () => announce(target, announced));
+
+        const wallets = new WalletConnectorRegistry({ target });
+        const gate = new AgeGate({ network: 'localhost', ethereum: legacy, wallets });
+
+        const connector = await gate.selectWallet();
+        wallets.stopDiscovery();
+
+        expect(connector.id).to.equal('io.example.wallet');
+        expect(gate.core.ethereum).to.equal(announced);
+    });
+
+    it('uses the connector named by walletId', async function () {
+        const target = new EventTarget();
+        const chosen = mockProvider();
+        target.addEventListener('eip6963:requestProvider', () => {
+            announce(target, mockProvider(), 'io.example.first');
+            announce(target, chosen, 'io.example.second');
+        });
+
+        const wallets = new WalletConnectorRegistry({ target });
+        const gate = new AgeGate({ network: 'localhost', wallets, walletId: 'io.example.second' });
+
+        await gate.selectWallet();
+        wallets.stopDiscovery();
+
+        expect(gate.core.ethereum).to.equal(chosen);
+    });
+});